@@ -2,15 +2,17 @@
 // Qualitative visualization using real-form orbital shapes from orbitals.js
 import * as THREE from 'three';
 import { createOrbital } from './orbitals.js';
+import { createOrbitalPointCloud } from './point_cloud.js';
+import { createSuperpositionCloud } from './superposition.js';
 import { ELEMENTS_BY_SYMBOL } from './data/elements.js';
-import { buildElectronConfiguration } from './electron_config.js';
-
-const FAMILY_VARIANTS = {
-  s: ['s'],
-  p: ['px', 'py', 'pz'],
-  d: ['dz2', 'dxz', 'dyz', 'dxy', 'dx2y2'],
-  f: ['fz3', 'fxz2', 'fyz2', 'fzx2y2', 'fxyz', 'fcos3', 'fsin3'],
-};
+import { computeSlaterShielding } from './slater.js';
+import {
+  buildElectronConfiguration,
+  buildOrbitalOccupancy,
+  partitionElectrons,
+  FAMILY_VARIANTS,
+  COMPLEX_FAMILY_VARIANTS,
+} from './electron_config.js';
 
 const SHELL_BASE_RADIUS = {
   1: 0.55,
@@ -56,6 +58,15 @@ const DEFAULT_COATS = {
   p: { colors: { pos: 0x8cc8ff, neg: 0x6aa9ff }, opacity: 0.35 },
   d: { colors: { pos: 0xffe28c, neg: 0xffc966 }, opacity: 0.26 },
   f: { colors: { pos: 0xc69bff, neg: 0xa47cff }, opacity: 0.22 },
+  g: { colors: { pos: 0x8cf0c0, neg: 0x5ccf9c }, opacity: 0.3 },
+  h: { colors: { pos: 0xff8c8c, neg: 0xe86a6a }, opacity: 0.3 },
+};
+
+// Core coats are dimmed so the valence subshells read first.
+const ROLE_OPACITY_SCALE = {
+  core: 0.35,
+  semiCore: 0.65,
+  valence: 1.0,
 };
 
 const CATEGORY_NUCLEUS_COLORS = {
@@ -75,8 +86,9 @@ function getCoat(coats, family) {
   return (coats && coats[family]) || DEFAULT_COATS[family];
 }
 
-function getVariants(family) {
-  return FAMILY_VARIANTS[family] || [];
+function getVariants(family, basis = 'real') {
+  const table = basis === 'complex' ? COMPLEX_FAMILY_VARIANTS : FAMILY_VARIANTS;
+  return table[family] || [];
 }
 
 function getBaseRadius(n, family) {
@@ -114,16 +126,17 @@ function createNucleusMesh({ radius, color }) {
   return new THREE.Mesh(new THREE.SphereGeometry(radius, 32, 16), mat);
 }
 
-function createSubshellGroup(entry, coats, rimStrength, rimPower) {
+function createSubshellGroup(entry, { coats, rimStrength, rimPower, role = 'valence', zEff = 1, basis = 'real', orbitalOptions = {} }) {
   const { n, l, electrons, capacity } = entry;
-  const variants = getVariants(l);
+  const variants = getVariants(l, basis);
   if (!variants.length) return null;
   const coat = getCoat(coats, l);
   const baseRadius = getBaseRadius(n, l);
   const radialScale = FAMILY_RADIAL_SCALE[l] ?? 1.1;
   const power = FAMILY_POWER[l] ?? 1.6;
   const occupancy = electrons / (capacity || 1);
-  const opacity = computeOpacity(coat.opacity, occupancy);
+  const orbitals = buildOrbitalOccupancy(entry, { basis });
+  const buildOrbital = orbitalOptions.renderMode === 'points' ? createOrbitalPointCloud : createOrbital;
 
   const subshellGroup = new THREE.Group();
   subshellGroup.name = `${n}${l}`;
@@ -134,10 +147,17 @@ function createSubshellGroup(entry, coats, rimStrength, rimPower) {
     electrons,
     capacity,
     occupancy,
+    orbitals,
+    role,
+    zEff,
+    basis,
   };
 
   variants.forEach((variant, idx) => {
-    const mesh = createOrbital({
+    const orbital = orbitals[idx] ?? { up: false, down: false, electrons: 0 };
+    // Each orbital holds two electrons; fade it by its own filling, not the subshell's.
+    const opacity = computeOpacity(coat.opacity, orbital.electrons / 2) * (ROLE_OPACITY_SCALE[role] ?? 1.0);
+    const mesh = buildOrbital({
       family: l,
       variant,
       baseRadius,
@@ -149,8 +169,11 @@ function createSubshellGroup(entry, coats, rimStrength, rimPower) {
       rimPower,
       showEdges: true,
       principalN: n,
+      zEff,
+      ...orbitalOptions,
     });
     mesh.userData.shell = { n, l, electrons, capacity, index: idx };
+    mesh.userData.occupancy = { up: orbital.up, down: orbital.down, electrons: orbital.electrons };
     subshellGroup.add(mesh);
   });
 
@@ -160,11 +183,14 @@ function createSubshellGroup(entry, coats, rimStrength, rimPower) {
 export function createElementModel({
   element,
   configuration,
+  charge = 0,
   coats = DEFAULT_COATS,
   rimStrength = 1.4,
   rimPower = 2.0,
   nucleusRadius,
   nucleusColor,
+  orbitalOptions = {}, // extra createOrbital options for every orbital; renderMode 'points' uses createOrbitalPointCloud
+  bases = {}, // per-subshell basis, e.g. { '2p': 'complex' }; real cubic harmonics otherwise
 } = {}) {
   if (!element) {
     throw new Error('createElementModel requires an element descriptor');
@@ -172,16 +198,30 @@ export function createElementModel({
 
   const group = new THREE.Group();
   group.userData.element = element;
+  group.userData.charge = charge;
 
-  const resolvedConfig = configuration ?? buildElectronConfiguration(element.atomicNumber);
+  const resolvedConfig = configuration ?? buildElectronConfiguration(element.atomicNumber, charge);
   const radius = computeNucleusRadius(element.atomicNumber, nucleusRadius);
   const color = computeNucleusColor(element.category, nucleusColor);
   const nucleus = createNucleusMesh({ radius, color });
   nucleus.userData = { type: 'nucleus' };
   group.add(nucleus);
 
+  const { roles } = partitionElectrons(resolvedConfig, element);
+  const zEffByKey = new Map(
+    computeSlaterShielding(element.atomicNumber, resolvedConfig).map((record) => [`${record.n}${record.l}`, record.zEff])
+  );
   resolvedConfig.forEach((entry) => {
-    const subshell = createSubshellGroup(entry, coats, rimStrength, rimPower);
+    const key = `${entry.n}${entry.l}`;
+    const subshell = createSubshellGroup(entry, {
+      coats,
+      rimStrength,
+      rimPower,
+      role: roles.get(key),
+      zEff: zEffByKey.get(key),
+      basis: bases[key] ?? 'real',
+      orbitalOptions,
+    });
     if (subshell) {
       group.add(subshell);
     }
@@ -190,6 +230,63 @@ export function createElementModel({
   return group;
 }
 
+// A single orbital picked by (n, l, variant) with no element around it, for the explorer panel.
+// variant is any real ('gcos2') or complex ('g+2') name understood by orbitals.js.
+export function createOrbitalExplorerModel({
+  n,
+  family,
+  variant,
+  zEff = 1,
+  baseRadius = 1.2,
+  coats = DEFAULT_COATS,
+  rimStrength = 1.4,
+  rimPower = 2.0,
+  orbitalOptions = {},
+} = {}) {
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error(`Invalid principal quantum number ${n}`);
+  }
+  const coat = getCoat(coats, family) ?? DEFAULT_COATS.s;
+  const buildOrbital = orbitalOptions.renderMode === 'points' ? createOrbitalPointCloud : createOrbital;
+
+  const group = new THREE.Group();
+  group.userData = { type: 'explorer', n, family, variant, zEff };
+  const nucleus = createNucleusMesh({ radius: 0.12, color: 0xff4d4d });
+  nucleus.userData = { type: 'nucleus' };
+  group.add(nucleus);
+
+  const mesh = buildOrbital({
+    family,
+    variant,
+    baseRadius,
+    radialScale: FAMILY_RADIAL_SCALE[family] ?? 1.2,
+    power: FAMILY_POWER[family] ?? 1.8,
+    colors: coat.colors,
+    material: { opacity: Math.max(coat.opacity, 0.4), transparent: true },
+    rimStrength,
+    rimPower,
+    showEdges: true,
+    principalN: n,
+    zEff,
+    ...orbitalOptions,
+  });
+  mesh.userData.shell = { n, l: family, electrons: 0, capacity: 2, index: 0 };
+  group.add(mesh);
+  return group;
+}
+
+// A hydrogen-like superposition of orbitals as an animated point cloud; advance it with
+// updateSuperposition from superposition.js. components as in createSuperpositionCloud.
+export function createSuperpositionModel({ components, Z = 1, pointCount = 20000, pointSize = 0.035, baseRadius = 1.2 } = {}) {
+  const group = new THREE.Group();
+  const cloud = createSuperpositionCloud({ components, Z, pointCount, pointSize, baseRadius });
+  group.userData = { type: 'superposition', components, Z, cloud };
+  const nucleus = createNucleusMesh({ radius: 0.12, color: 0xff4d4d });
+  nucleus.userData = { type: 'nucleus' };
+  group.add(nucleus, cloud);
+  return group;
+}
+
 export function createCalciumSPDFModel(options = {}) {
   const element = ELEMENTS_BY_SYMBOL.get('Ca');
   const configuration = buildElectronConfiguration(element.atomicNumber);
@@ -0,0 +1,134 @@
+// aufbau_player.js - Steps an element model through aufbau frames (electron_config.js)
+// Orbital meshes fade in as they gain electrons; exception frames pause playback.
+import * as THREE from 'three';
+import { buildOrbitalOccupancy } from './electron_config.js';
+import { detachSharedMaterial } from './geometry_cache.js';
+
+const STEP_SECONDS = 0.6;
+const FADE_RATE = 5.0; // opacity factor units per second
+const HALF_FILLED_FACTOR = 0.65;
+
+function getMaterialOpacity(mat) {
+  return mat.uniforms?.uOpacity ? mat.uniforms.uOpacity.value : mat.opacity;
+}
+
+function setMaterialOpacity(mat, value) {
+  if (mat.uniforms?.uOpacity) mat.uniforms.uOpacity.value = value;
+  else mat.opacity = value;
+}
+
+function collectOrbitalMeshes(model) {
+  const meshes = [];
+  model.children.forEach((child) => {
+    if (child.userData?.type !== 'subshell') return;
+    child.children.forEach((mesh) => {
+      if (!mesh.userData?.orbital) return;
+      // Each mesh fades on its own, so it can't keep a material shared with its siblings.
+      detachSharedMaterial(mesh);
+      const mats = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+      meshes.push({
+        mesh,
+        subshell: child,
+        key: child.name,
+        index: mesh.userData.shell?.index ?? 0,
+        baseOpacity: mats.map((mat) => getMaterialOpacity(mat)),
+        factor: 0,
+        target: 0,
+      });
+    });
+  });
+  return meshes;
+}
+
+function applyFactor(item) {
+  const mats = Array.isArray(item.mesh.material) ? item.mesh.material : [item.mesh.material];
+  mats.forEach((mat, idx) => setMaterialOpacity(mat, item.baseOpacity[idx] * item.factor));
+  item.mesh.visible = item.factor > 0.01;
+}
+
+// model must contain every subshell the frames touch (see mergeConfigurations).
+// onFrame(frame, index, frames) fires whenever the displayed frame changes.
+export function createAufbauPlayer({ model, frames, onFrame } = {}) {
+  if (!model || !frames?.length) {
+    throw new Error('createAufbauPlayer requires a model and at least one frame');
+  }
+  const items = collectOrbitalMeshes(model);
+  let index = 0;
+  let playing = false;
+  let elapsed = 0;
+
+  function setTargets(frame) {
+    const occupancy = new Map();
+    frame.configuration.forEach((entry) => {
+      occupancy.set(`${entry.n}${entry.l}`, buildOrbitalOccupancy(entry));
+    });
+    items.forEach((item) => {
+      const orbital = occupancy.get(item.key)?.[item.index];
+      const electrons = orbital?.electrons ?? 0;
+      item.target = electrons === 0 ? 0 : electrons === 1 ? HALF_FILLED_FACTOR : 1;
+    });
+    model.children.forEach((child) => {
+      if (child.userData?.type === 'subshell') child.visible = occupancy.has(child.name);
+    });
+  }
+
+  function setFrame(next) {
+    index = THREE.MathUtils.clamp(Math.round(next), 0, frames.length - 1);
+    elapsed = 0;
+    setTargets(frames[index]);
+    if (onFrame) onFrame(frames[index], index, frames);
+  }
+
+  function step(delta = 1) {
+    setFrame(index + delta);
+    // Stop on exception frames so the rearrangement can be read before moving on.
+    if (frames[index].exception || index === frames.length - 1) playing = false;
+  }
+
+  function update(dt) {
+    items.forEach((item) => {
+      if (item.factor === item.target) return;
+      const delta = FADE_RATE * dt;
+      item.factor = item.factor < item.target
+        ? Math.min(item.target, item.factor + delta)
+        : Math.max(item.target, item.factor - delta);
+      applyFactor(item);
+    });
+    if (!playing) return;
+    elapsed += dt;
+    if (elapsed >= STEP_SECONDS) step(1);
+  }
+
+  function play() {
+    if (index >= frames.length - 1) setFrame(0);
+    playing = true;
+    elapsed = 0;
+  }
+
+  function pause() {
+    playing = false;
+  }
+
+  function dispose() {
+    playing = false;
+    items.forEach((item) => {
+      item.factor = 1;
+      applyFactor(item);
+    });
+  }
+
+  items.forEach((item) => applyFactor(item));
+  setFrame(0);
+
+  return {
+    play,
+    pause,
+    step,
+    setFrame,
+    update,
+    dispose,
+    get index() { return index; },
+    get playing() { return playing; },
+    get length() { return frames.length; },
+  };
+}
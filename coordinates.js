@@ -0,0 +1,56 @@
+// coordinates.js - Axis conventions: where the x/y/z of orbital names point in the scene
+// Orbitals are built in the frame of orbitals.js: polar axis (pz, dz2) on Y, py along Z, so
+// chemistry (x, y, z) is frame (X, Z, Y). A convention gives the scene direction of each
+// chemistry axis; models, the density volume, axis planes and labels all follow it, so pz
+// always points at the axis labelled z.
+import * as THREE from 'three';
+
+export const COORDINATE_CONVENTIONS = {
+  // z up the screen (three.js Y), x to the right, y into the screen; right-handed.
+  chemistry: { label: 'Z-up (chemistry)', axes: { x: [1, 0, 0], y: [0, 0, -1], z: [0, 1, 0] } },
+  // Names match three.js axes: pz points out of the screen, towards the default camera.
+  scene: { label: 'Y-up (three.js)', axes: { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] } },
+};
+
+export const DEFAULT_COORDINATE_CONVENTION = 'chemistry';
+
+// Chemistry axis -> direction in the orbital frame (what probability.js etc. take).
+export const ORBITAL_FRAME_AXES = {
+  x: { x: 1, y: 0, z: 0 },
+  y: { x: 0, y: 0, z: 1 },
+  z: { x: 0, y: 1, z: 0 },
+};
+
+// Chemistry [x, y, z] components (or octant signs) -> orbital frame [X, Y, Z].
+export function toOrbitalFrame([x, y, z]) {
+  return [x, z, y];
+}
+
+function getConvention(name) {
+  const convention = COORDINATE_CONVENTIONS[name];
+  if (!convention) throw new Error(`Unknown coordinate convention: ${name}`);
+  return convention;
+}
+
+export function getSceneAxis(name, axis, target = new THREE.Vector3()) {
+  return target.fromArray(getConvention(name).axes[axis]);
+}
+
+// Orbital frame -> scene. Its columns are the scene directions of frame X (x), Y (z) and
+// Z (y); since the frame lists the chemistry axes as x, z, y, both conventions are reflections.
+export function getConventionMatrix(name, target = new THREE.Matrix4()) {
+  const { axes } = getConvention(name);
+  return target.makeBasis(
+    new THREE.Vector3().fromArray(axes.x),
+    new THREE.Vector3().fromArray(axes.z),
+    new THREE.Vector3().fromArray(axes.y),
+  );
+}
+
+// Places a model (or anything else built in the orbital frame about the origin) in the scene.
+// WebGLRenderer flips the front face for the mirrored matrix, so single-sided materials still work.
+export function applyCoordinateConvention(object, name) {
+  if (!object) return object;
+  getConventionMatrix(name).decompose(object.position, object.quaternion, object.scale);
+  return object;
+}
@@ -0,0 +1,141 @@
+// cross_section.js - psi and |psi|^2 heatmaps of orbitals on a planar slice
+// Samples are taken in the plane's local x/y (PlaneGeometry layout) and painted into a canvas
+// that the axis planes in script.js use as their map.
+import * as THREE from 'three';
+import { evaluateOrbitalPsi } from './orbitals.js';
+import { FAMILY_L, mostProbableRadius } from './radial.js';
+
+const CONTOUR_LEVELS = 5; // contours at 0.2, 0.4, ... of the display scale
+const PEAK_GRID = 24;
+
+// Coolwarm-style diverging map for the sign of psi and an inferno-like ramp for density.
+const DIVERGING_STOPS = [
+  [59, 76, 192],
+  [221, 221, 221],
+  [180, 4, 38],
+];
+const SEQUENTIAL_STOPS = [
+  [12, 8, 38],
+  [120, 28, 109],
+  [237, 105, 37],
+  [252, 255, 164],
+];
+
+function sampleStops(stops, t, target) {
+  const x = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(x));
+  const f = x - i;
+  for (let k = 0; k < 3; k += 1) target[k] = stops[i][k] + (stops[i + 1][k] - stops[i][k]) * f;
+  return target;
+}
+
+// orbitals: [{ config, weight }] with configs from userData.orbitalConfig (principalN required).
+// Each config gets its own scene-to-Bohr factor, the same mapping the isosurface mode uses.
+function prepareOrbitals(orbitals) {
+  return orbitals
+    .filter((item) => item.config?.principalN)
+    .map((item) => {
+      const { principalN, family, zEff = 1, baseRadius } = item.config;
+      const scale = baseRadius / mostProbableRadius(principalN, FAMILY_L[family] ?? 0, zEff);
+      return { config: item.config, weight: item.weight ?? 1, invScale: 1 / scale };
+    });
+}
+
+// psi mode sums Re(psi) of every orbital with unit coefficients; density mode sums
+// weight * |psi|^2, weights usually being electron counts.
+function evaluateAt(prepared, mode, x, y, z, phasor) {
+  let value = 0;
+  prepared.forEach(({ config, weight, invScale }) => {
+    evaluateOrbitalPsi(config, x * invScale, y * invScale, z * invScale, phasor);
+    if (mode === 'density') value += weight * phasor.magnitude * phasor.magnitude;
+    else value += phasor.magnitude * Math.cos(phasor.angle);
+  });
+  return value;
+}
+
+// Values on a resolution x resolution grid, row 0 at the top (+y) like a canvas.
+// matrix maps plane-local points (z = 0) into the orbitals' frame.
+export function sampleCrossSection(orbitals, { mode = 'psi', size, resolution = 160, matrix = new THREE.Matrix4() }) {
+  const prepared = prepareOrbitals(orbitals);
+  const values = new Float32Array(resolution * resolution);
+  if (!prepared.length) return values;
+  const point = new THREE.Vector3();
+  const phasor = { magnitude: 0, angle: 0 };
+  for (let j = 0; j < resolution; j += 1) {
+    const v = size / 2 - ((j + 0.5) / resolution) * size;
+    for (let i = 0; i < resolution; i += 1) {
+      point.set(((i + 0.5) / resolution) * size - size / 2, v, 0).applyMatrix4(matrix);
+      values[j * resolution + i] = evaluateAt(prepared, mode, point.x, point.y, point.z, phasor);
+    }
+  }
+  return values;
+}
+
+// Largest |value| on a coarse cube of half-width halfSize. Used as a shared scale so planes
+// stay comparable and a slice does not brighten as it moves away from the nucleus.
+export function estimateCrossSectionPeak(orbitals, { mode = 'psi', halfSize }) {
+  const prepared = prepareOrbitals(orbitals);
+  const phasor = { magnitude: 0, angle: 0 };
+  let peak = 0;
+  for (let k = 0; k <= PEAK_GRID; k += 1) {
+    const z = ((2 * k) / PEAK_GRID - 1) * halfSize;
+    for (let j = 0; j <= PEAK_GRID; j += 1) {
+      const y = ((2 * j) / PEAK_GRID - 1) * halfSize;
+      for (let i = 0; i <= PEAK_GRID; i += 1) {
+        const x = ((2 * i) / PEAK_GRID - 1) * halfSize;
+        peak = Math.max(peak, Math.abs(evaluateAt(prepared, mode, x, y, z, phasor)));
+      }
+    }
+  }
+  return peak;
+}
+
+// Paints values into canvas. The display scale is sqrt(|value| / peak) so outer lobes stay
+// visible; alpha follows it, leaving empty space see-through. Nodes (sign changes of psi)
+// are drawn white, other contour levels dark.
+export function paintCrossSection(canvas, values, { resolution, mode = 'psi', peak, contours = true }) {
+  canvas.width = resolution;
+  canvas.height = resolution;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  const image = ctx.createImageData(resolution, resolution);
+  const data = image.data;
+  const scale = peak > 0 ? peak : values.reduce((max, value) => Math.max(max, Math.abs(value)), 0) || 1;
+  const display = new Float32Array(values.length);
+  values.forEach((value, idx) => {
+    const q = Math.max(-1, Math.min(1, value / scale));
+    display[idx] = Math.sign(q) * Math.sqrt(Math.abs(q));
+  });
+  const rgb = [0, 0, 0];
+  const band = (t) => Math.floor(t * CONTOUR_LEVELS);
+  for (let j = 0; j < resolution; j += 1) {
+    for (let i = 0; i < resolution; i += 1) {
+      const idx = j * resolution + i;
+      const t = display[idx];
+      const o = 4 * idx;
+      if (mode === 'density') sampleStops(SEQUENTIAL_STOPS, t, rgb);
+      else sampleStops(DIVERGING_STOPS, 0.5 + 0.5 * t, rgb);
+      let alpha = Math.min(1, Math.abs(t) * 1.2);
+      if (contours) {
+        const right = i + 1 < resolution ? display[idx + 1] : t;
+        const below = j + 1 < resolution ? display[idx + resolution] : t;
+        if (mode === 'psi' && (Math.sign(right) * Math.sign(t) < 0 || Math.sign(below) * Math.sign(t) < 0)) {
+          rgb[0] = 255;
+          rgb[1] = 255;
+          rgb[2] = 255;
+          alpha = 0.9;
+        } else if (t !== 0 && (band(right) !== band(t) || band(below) !== band(t))) {
+          rgb[0] *= 0.25;
+          rgb[1] *= 0.25;
+          rgb[2] *= 0.25;
+          alpha = Math.max(alpha, 0.7);
+        }
+      }
+      data[o] = rgb[0];
+      data[o + 1] = rgb[1];
+      data[o + 2] = rgb[2];
+      data[o + 3] = Math.round(alpha * 255);
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+}
@@ -0,0 +1,129 @@
+// Reference ground-state electron configurations for the neutral atoms, Z = 1-118.
+// `source` keys into CONFIGURATION_SOURCES; `predicted` marks configurations that
+// come from relativistic calculations rather than atomic spectroscopy.
+export const CONFIGURATION_SOURCES = {
+	nist: 'A. Kramida, Yu. Ralchenko, J. Reader and NIST ASD Team, NIST Atomic Spectra Database, "Ground Levels and Ionization Energies for the Neutral Atoms", https://physics.nist.gov/PhysRefData/ASD/ionEnergy.html',
+	lawrencium: 'T. K. Sato et al., "Measurement of the first ionization potential of lawrencium, element 103", Nature 520, 209-211 (2015)',
+	predicted: 'D. C. Hoffman, D. M. Lee and V. Pershina, "Transactinide Elements and Future Elements", in The Chemistry of the Actinide and Transactinide Elements, 3rd ed., Springer (2006), ch. 14',
+};
+
+export const REFERENCE_CONFIGURATIONS = [
+	{ atomicNumber: 1, symbol: 'H', configuration: '1s1', source: 'nist' },
+	{ atomicNumber: 2, symbol: 'He', configuration: '1s2', source: 'nist' },
+	{ atomicNumber: 3, symbol: 'Li', configuration: '[He] 2s1', source: 'nist' },
+	{ atomicNumber: 4, symbol: 'Be', configuration: '[He] 2s2', source: 'nist' },
+	{ atomicNumber: 5, symbol: 'B', configuration: '[He] 2s2 2p1', source: 'nist' },
+	{ atomicNumber: 6, symbol: 'C', configuration: '[He] 2s2 2p2', source: 'nist' },
+	{ atomicNumber: 7, symbol: 'N', configuration: '[He] 2s2 2p3', source: 'nist' },
+	{ atomicNumber: 8, symbol: 'O', configuration: '[He] 2s2 2p4', source: 'nist' },
+	{ atomicNumber: 9, symbol: 'F', configuration: '[He] 2s2 2p5', source: 'nist' },
+	{ atomicNumber: 10, symbol: 'Ne', configuration: '[He] 2s2 2p6', source: 'nist' },
+	{ atomicNumber: 11, symbol: 'Na', configuration: '[Ne] 3s1', source: 'nist' },
+	{ atomicNumber: 12, symbol: 'Mg', configuration: '[Ne] 3s2', source: 'nist' },
+	{ atomicNumber: 13, symbol: 'Al', configuration: '[Ne] 3s2 3p1', source: 'nist' },
+	{ atomicNumber: 14, symbol: 'Si', configuration: '[Ne] 3s2 3p2', source: 'nist' },
+	{ atomicNumber: 15, symbol: 'P', configuration: '[Ne] 3s2 3p3', source: 'nist' },
+	{ atomicNumber: 16, symbol: 'S', configuration: '[Ne] 3s2 3p4', source: 'nist' },
+	{ atomicNumber: 17, symbol: 'Cl', configuration: '[Ne] 3s2 3p5', source: 'nist' },
+	{ atomicNumber: 18, symbol: 'Ar', configuration: '[Ne] 3s2 3p6', source: 'nist' },
+	{ atomicNumber: 19, symbol: 'K', configuration: '[Ar] 4s1', source: 'nist' },
+	{ atomicNumber: 20, symbol: 'Ca', configuration: '[Ar] 4s2', source: 'nist' },
+	{ atomicNumber: 21, symbol: 'Sc', configuration: '[Ar] 3d1 4s2', source: 'nist' },
+	{ atomicNumber: 22, symbol: 'Ti', configuration: '[Ar] 3d2 4s2', source: 'nist' },
+	{ atomicNumber: 23, symbol: 'V', configuration: '[Ar] 3d3 4s2', source: 'nist' },
+	{ atomicNumber: 24, symbol: 'Cr', configuration: '[Ar] 3d5 4s1', source: 'nist' },
+	{ atomicNumber: 25, symbol: 'Mn', configuration: '[Ar] 3d5 4s2', source: 'nist' },
+	{ atomicNumber: 26, symbol: 'Fe', configuration: '[Ar] 3d6 4s2', source: 'nist' },
+	{ atomicNumber: 27, symbol: 'Co', configuration: '[Ar] 3d7 4s2', source: 'nist' },
+	{ atomicNumber: 28, symbol: 'Ni', configuration: '[Ar] 3d8 4s2', source: 'nist' },
+	{ atomicNumber: 29, symbol: 'Cu', configuration: '[Ar] 3d10 4s1', source: 'nist' },
+	{ atomicNumber: 30, symbol: 'Zn', configuration: '[Ar] 3d10 4s2', source: 'nist' },
+	{ atomicNumber: 31, symbol: 'Ga', configuration: '[Ar] 3d10 4s2 4p1', source: 'nist' },
+	{ atomicNumber: 32, symbol: 'Ge', configuration: '[Ar] 3d10 4s2 4p2', source: 'nist' },
+	{ atomicNumber: 33, symbol: 'As', configuration: '[Ar] 3d10 4s2 4p3', source: 'nist' },
+	{ atomicNumber: 34, symbol: 'Se', configuration: '[Ar] 3d10 4s2 4p4', source: 'nist' },
+	{ atomicNumber: 35, symbol: 'Br', configuration: '[Ar] 3d10 4s2 4p5', source: 'nist' },
+	{ atomicNumber: 36, symbol: 'Kr', configuration: '[Ar] 3d10 4s2 4p6', source: 'nist' },
+	{ atomicNumber: 37, symbol: 'Rb', configuration: '[Kr] 5s1', source: 'nist' },
+	{ atomicNumber: 38, symbol: 'Sr', configuration: '[Kr] 5s2', source: 'nist' },
+	{ atomicNumber: 39, symbol: 'Y', configuration: '[Kr] 4d1 5s2', source: 'nist' },
+	{ atomicNumber: 40, symbol: 'Zr', configuration: '[Kr] 4d2 5s2', source: 'nist' },
+	{ atomicNumber: 41, symbol: 'Nb', configuration: '[Kr] 4d4 5s1', source: 'nist' },
+	{ atomicNumber: 42, symbol: 'Mo', configuration: '[Kr] 4d5 5s1', source: 'nist' },
+	{ atomicNumber: 43, symbol: 'Tc', configuration: '[Kr] 4d5 5s2', source: 'nist' },
+	{ atomicNumber: 44, symbol: 'Ru', configuration: '[Kr] 4d7 5s1', source: 'nist' },
+	{ atomicNumber: 45, symbol: 'Rh', configuration: '[Kr] 4d8 5s1', source: 'nist' },
+	{ atomicNumber: 46, symbol: 'Pd', configuration: '[Kr] 4d10', source: 'nist' },
+	{ atomicNumber: 47, symbol: 'Ag', configuration: '[Kr] 4d10 5s1', source: 'nist' },
+	{ atomicNumber: 48, symbol: 'Cd', configuration: '[Kr] 4d10 5s2', source: 'nist' },
+	{ atomicNumber: 49, symbol: 'In', configuration: '[Kr] 4d10 5s2 5p1', source: 'nist' },
+	{ atomicNumber: 50, symbol: 'Sn', configuration: '[Kr] 4d10 5s2 5p2', source: 'nist' },
+	{ atomicNumber: 51, symbol: 'Sb', configuration: '[Kr] 4d10 5s2 5p3', source: 'nist' },
+	{ atomicNumber: 52, symbol: 'Te', configuration: '[Kr] 4d10 5s2 5p4', source: 'nist' },
+	{ atomicNumber: 53, symbol: 'I', configuration: '[Kr] 4d10 5s2 5p5', source: 'nist' },
+	{ atomicNumber: 54, symbol: 'Xe', configuration: '[Kr] 4d10 5s2 5p6', source: 'nist' },
+	{ atomicNumber: 55, symbol: 'Cs', configuration: '[Xe] 6s1', source: 'nist' },
+	{ atomicNumber: 56, symbol: 'Ba', configuration: '[Xe] 6s2', source: 'nist' },
+	{ atomicNumber: 57, symbol: 'La', configuration: '[Xe] 5d1 6s2', source: 'nist' },
+	{ atomicNumber: 58, symbol: 'Ce', configuration: '[Xe] 4f1 5d1 6s2', source: 'nist' },
+	{ atomicNumber: 59, symbol: 'Pr', configuration: '[Xe] 4f3 6s2', source: 'nist' },
+	{ atomicNumber: 60, symbol: 'Nd', configuration: '[Xe] 4f4 6s2', source: 'nist' },
+	{ atomicNumber: 61, symbol: 'Pm', configuration: '[Xe] 4f5 6s2', source: 'nist' },
+	{ atomicNumber: 62, symbol: 'Sm', configuration: '[Xe] 4f6 6s2', source: 'nist' },
+	{ atomicNumber: 63, symbol: 'Eu', configuration: '[Xe] 4f7 6s2', source: 'nist' },
+	{ atomicNumber: 64, symbol: 'Gd', configuration: '[Xe] 4f7 5d1 6s2', source: 'nist' },
+	{ atomicNumber: 65, symbol: 'Tb', configuration: '[Xe] 4f9 6s2', source: 'nist' },
+	{ atomicNumber: 66, symbol: 'Dy', configuration: '[Xe] 4f10 6s2', source: 'nist' },
+	{ atomicNumber: 67, symbol: 'Ho', configuration: '[Xe] 4f11 6s2', source: 'nist' },
+	{ atomicNumber: 68, symbol: 'Er', configuration: '[Xe] 4f12 6s2', source: 'nist' },
+	{ atomicNumber: 69, symbol: 'Tm', configuration: '[Xe] 4f13 6s2', source: 'nist' },
+	{ atomicNumber: 70, symbol: 'Yb', configuration: '[Xe] 4f14 6s2', source: 'nist' },
+	{ atomicNumber: 71, symbol: 'Lu', configuration: '[Xe] 4f14 5d1 6s2', source: 'nist' },
+	{ atomicNumber: 72, symbol: 'Hf', configuration: '[Xe] 4f14 5d2 6s2', source: 'nist' },
+	{ atomicNumber: 73, symbol: 'Ta', configuration: '[Xe] 4f14 5d3 6s2', source: 'nist' },
+	{ atomicNumber: 74, symbol: 'W', configuration: '[Xe] 4f14 5d4 6s2', source: 'nist' },
+	{ atomicNumber: 75, symbol: 'Re', configuration: '[Xe] 4f14 5d5 6s2', source: 'nist' },
+	{ atomicNumber: 76, symbol: 'Os', configuration: '[Xe] 4f14 5d6 6s2', source: 'nist' },
+	{ atomicNumber: 77, symbol: 'Ir', configuration: '[Xe] 4f14 5d7 6s2', source: 'nist' },
+	{ atomicNumber: 78, symbol: 'Pt', configuration: '[Xe] 4f14 5d9 6s1', source: 'nist' },
+	{ atomicNumber: 79, symbol: 'Au', configuration: '[Xe] 4f14 5d10 6s1', source: 'nist' },
+	{ atomicNumber: 80, symbol: 'Hg', configuration: '[Xe] 4f14 5d10 6s2', source: 'nist' },
+	{ atomicNumber: 81, symbol: 'Tl', configuration: '[Xe] 4f14 5d10 6s2 6p1', source: 'nist' },
+	{ atomicNumber: 82, symbol: 'Pb', configuration: '[Xe] 4f14 5d10 6s2 6p2', source: 'nist' },
+	{ atomicNumber: 83, symbol: 'Bi', configuration: '[Xe] 4f14 5d10 6s2 6p3', source: 'nist' },
+	{ atomicNumber: 84, symbol: 'Po', configuration: '[Xe] 4f14 5d10 6s2 6p4', source: 'nist' },
+	{ atomicNumber: 85, symbol: 'At', configuration: '[Xe] 4f14 5d10 6s2 6p5', source: 'nist' },
+	{ atomicNumber: 86, symbol: 'Rn', configuration: '[Xe] 4f14 5d10 6s2 6p6', source: 'nist' },
+	{ atomicNumber: 87, symbol: 'Fr', configuration: '[Rn] 7s1', source: 'nist' },
+	{ atomicNumber: 88, symbol: 'Ra', configuration: '[Rn] 7s2', source: 'nist' },
+	{ atomicNumber: 89, symbol: 'Ac', configuration: '[Rn] 6d1 7s2', source: 'nist' },
+	{ atomicNumber: 90, symbol: 'Th', configuration: '[Rn] 6d2 7s2', source: 'nist' },
+	{ atomicNumber: 91, symbol: 'Pa', configuration: '[Rn] 5f2 6d1 7s2', source: 'nist' },
+	{ atomicNumber: 92, symbol: 'U', configuration: '[Rn] 5f3 6d1 7s2', source: 'nist' },
+	{ atomicNumber: 93, symbol: 'Np', configuration: '[Rn] 5f4 6d1 7s2', source: 'nist' },
+	{ atomicNumber: 94, symbol: 'Pu', configuration: '[Rn] 5f6 7s2', source: 'nist' },
+	{ atomicNumber: 95, symbol: 'Am', configuration: '[Rn] 5f7 7s2', source: 'nist' },
+	{ atomicNumber: 96, symbol: 'Cm', configuration: '[Rn] 5f7 6d1 7s2', source: 'nist' },
+	{ atomicNumber: 97, symbol: 'Bk', configuration: '[Rn] 5f9 7s2', source: 'nist' },
+	{ atomicNumber: 98, symbol: 'Cf', configuration: '[Rn] 5f10 7s2', source: 'nist' },
+	{ atomicNumber: 99, symbol: 'Es', configuration: '[Rn] 5f11 7s2', source: 'nist' },
+	{ atomicNumber: 100, symbol: 'Fm', configuration: '[Rn] 5f12 7s2', source: 'nist' },
+	{ atomicNumber: 101, symbol: 'Md', configuration: '[Rn] 5f13 7s2', source: 'nist' },
+	{ atomicNumber: 102, symbol: 'No', configuration: '[Rn] 5f14 7s2', source: 'nist' },
+	{ atomicNumber: 103, symbol: 'Lr', configuration: '[Rn] 5f14 7s2 7p1', source: 'lawrencium', predicted: true },
+	{ atomicNumber: 104, symbol: 'Rf', configuration: '[Rn] 5f14 6d2 7s2', source: 'predicted', predicted: true },
+	{ atomicNumber: 105, symbol: 'Db', configuration: '[Rn] 5f14 6d3 7s2', source: 'predicted', predicted: true },
+	{ atomicNumber: 106, symbol: 'Sg', configuration: '[Rn] 5f14 6d4 7s2', source: 'predicted', predicted: true },
+	{ atomicNumber: 107, symbol: 'Bh', configuration: '[Rn] 5f14 6d5 7s2', source: 'predicted', predicted: true },
+	{ atomicNumber: 108, symbol: 'Hs', configuration: '[Rn] 5f14 6d6 7s2', source: 'predicted', predicted: true },
+	{ atomicNumber: 109, symbol: 'Mt', configuration: '[Rn] 5f14 6d7 7s2', source: 'predicted', predicted: true },
+	{ atomicNumber: 110, symbol: 'Ds', configuration: '[Rn] 5f14 6d8 7s2', source: 'predicted', predicted: true },
+	{ atomicNumber: 111, symbol: 'Rg', configuration: '[Rn] 5f14 6d9 7s2', source: 'predicted', predicted: true },
+	{ atomicNumber: 112, symbol: 'Cn', configuration: '[Rn] 5f14 6d10 7s2', source: 'predicted', predicted: true },
+	{ atomicNumber: 113, symbol: 'Nh', configuration: '[Rn] 5f14 6d10 7s2 7p1', source: 'predicted', predicted: true },
+	{ atomicNumber: 114, symbol: 'Fl', configuration: '[Rn] 5f14 6d10 7s2 7p2', source: 'predicted', predicted: true },
+	{ atomicNumber: 115, symbol: 'Mc', configuration: '[Rn] 5f14 6d10 7s2 7p3', source: 'predicted', predicted: true },
+	{ atomicNumber: 116, symbol: 'Lv', configuration: '[Rn] 5f14 6d10 7s2 7p4', source: 'predicted', predicted: true },
+	{ atomicNumber: 117, symbol: 'Ts', configuration: '[Rn] 5f14 6d10 7s2 7p5', source: 'predicted', predicted: true },
+	{ atomicNumber: 118, symbol: 'Og', configuration: '[Rn] 5f14 6d10 7s2 7p6', source: 'predicted', predicted: true },
+];
@@ -0,0 +1,17 @@
+// Common (main) oxidation states per element, after N. N. Greenwood and A. Earnshaw,
+// Chemistry of the Elements, 2nd ed., Butterworth-Heinemann (1997). Elements with no
+// established chemistry are left empty.
+export const COMMON_OXIDATION_STATES = {
+	H: [-1, 1], He: [], Li: [1], Be: [2], B: [3], C: [-4, 4], N: [-3, 3, 5], O: [-2], F: [-1], Ne: [],
+	Na: [1], Mg: [2], Al: [3], Si: [-4, 4], P: [-3, 3, 5], S: [-2, 2, 4, 6], Cl: [-1, 1, 3, 5, 7], Ar: [],
+	K: [1], Ca: [2], Sc: [3], Ti: [4], V: [5], Cr: [3, 6], Mn: [2, 4, 7], Fe: [2, 3, 6], Co: [2, 3], Ni: [2],
+	Cu: [2], Zn: [2], Ga: [3], Ge: [-4, 2, 4], As: [-3, 3, 5], Se: [-2, 2, 4, 6], Br: [-1, 1, 3, 5], Kr: [2],
+	Rb: [1], Sr: [2], Y: [3], Zr: [4], Nb: [5], Mo: [4, 6], Tc: [4, 7], Ru: [3, 4], Rh: [3], Pd: [2, 4],
+	Ag: [1], Cd: [2], In: [3], Sn: [-4, 2, 4], Sb: [-3, 3, 5], Te: [-2, 2, 4, 6], I: [-1, 1, 3, 5, 7], Xe: [2, 4, 6],
+	Cs: [1], Ba: [2], La: [3], Ce: [3, 4], Pr: [3], Nd: [3], Pm: [3], Sm: [3], Eu: [2, 3], Gd: [3], Tb: [3],
+	Dy: [3], Ho: [3], Er: [3], Tm: [3], Yb: [3], Lu: [3], Hf: [4], Ta: [5], W: [4, 6], Re: [4], Os: [4],
+	Ir: [3, 4], Pt: [2, 4], Au: [3], Hg: [1, 2], Tl: [1, 3], Pb: [2, 4], Bi: [3], Po: [-2, 2, 4], At: [-1, 1], Rn: [2],
+	Fr: [1], Ra: [2], Ac: [3], Th: [4], Pa: [5], U: [6], Np: [5], Pu: [4], Am: [3], Cm: [3], Bk: [3], Cf: [3],
+	Es: [3], Fm: [3], Md: [3], No: [2], Lr: [3], Rf: [4], Db: [5], Sg: [6], Bh: [7], Hs: [8], Mt: [], Ds: [],
+	Rg: [], Cn: [], Nh: [], Fl: [], Mc: [], Lv: [], Ts: [], Og: [],
+};
@@ -1,3 +1,8 @@
+import { REFERENCE_CONFIGURATIONS, CONFIGURATION_SOURCES } from './data/configurations.js';
+import { COMMON_OXIDATION_STATES } from './data/oxidation_states.js';
+import { listHarmonicVariants, parseHarmonicVariant } from './spherical_harmonics.js';
+import { FAMILY_L } from './radial.js';
+
 const ORBITAL_ORDER = [
   { n: 1, l: 's', capacity: 2 },
   { n: 2, l: 's', capacity: 2 },
@@ -22,29 +27,6 @@ const ORBITAL_ORDER = [
 
 const ORDER_INDEX = new Map(ORBITAL_ORDER.map((o, idx) => [`${o.n}${o.l}`, idx]));
 
-const EXCEPTION_ADJUSTMENTS = {
-  24: [{ from: { n: 4, l: 's', count: 1 }, to: { n: 3, l: 'd', count: 1 } }],
-  29: [{ from: { n: 4, l: 's', count: 1 }, to: { n: 3, l: 'd', count: 1 } }],
-  41: [{ from: { n: 5, l: 's', count: 1 }, to: { n: 4, l: 'd', count: 1 } }],
-  42: [{ from: { n: 5, l: 's', count: 1 }, to: { n: 4, l: 'd', count: 1 } }],
-  44: [{ from: { n: 5, l: 's', count: 1 }, to: { n: 4, l: 'd', count: 1 } }],
-  45: [{ from: { n: 5, l: 's', count: 1 }, to: { n: 4, l: 'd', count: 1 } }],
-  46: [{ from: { n: 5, l: 's', count: 2 }, to: { n: 4, l: 'd', count: 2 } }],
-  47: [{ from: { n: 5, l: 's', count: 1 }, to: { n: 4, l: 'd', count: 1 } }],
-  57: [{ from: { n: 4, l: 'f', count: 1 }, to: { n: 5, l: 'd', count: 1 } }],
-  58: [{ from: { n: 4, l: 'f', count: 1 }, to: { n: 5, l: 'd', count: 1 } }],
-  64: [{ from: { n: 4, l: 'f', count: 1 }, to: { n: 5, l: 'd', count: 1 } }],
-  78: [{ from: { n: 6, l: 's', count: 1 }, to: { n: 5, l: 'd', count: 1 } }],
-  79: [{ from: { n: 6, l: 's', count: 1 }, to: { n: 5, l: 'd', count: 1 } }],
-  89: [{ from: { n: 5, l: 'f', count: 1 }, to: { n: 6, l: 'd', count: 1 } }],
-  90: [{ from: { n: 5, l: 'f', count: 2 }, to: { n: 6, l: 'd', count: 2 } }],
-  91: [{ from: { n: 5, l: 'f', count: 1 }, to: { n: 6, l: 'd', count: 1 } }],
-  92: [{ from: { n: 5, l: 'f', count: 1 }, to: { n: 6, l: 'd', count: 1 } }],
-  93: [{ from: { n: 5, l: 'f', count: 1 }, to: { n: 6, l: 'd', count: 1 } }],
-  96: [{ from: { n: 5, l: 'f', count: 1 }, to: { n: 6, l: 'd', count: 1 } }],
-  103: [{ from: { n: 6, l: 'd', count: 1 }, to: { n: 7, l: 'p', count: 1 } }],
-};
-
 function ensureEntry(config, n, l) {
   let entry = config.find((c) => c.n === n && c.l === l);
   if (entry) return entry;
@@ -68,9 +50,66 @@ function ensureEntry(config, n, l) {
   return entry;
 }
 
+function pruneEmpty(config) {
+  for (let i = config.length - 1; i >= 0; i -= 1) {
+    if (config[i].electrons <= 0) {
+      config.splice(i, 1);
+    }
+  }
+}
+
+// Ground state as the Madelung order alone would fill it.
+function fillMadelung(atomicNumber) {
+  const config = [];
+  let remaining = atomicNumber;
+  for (const orbital of ORBITAL_ORDER) {
+    if (remaining <= 0) break;
+    const electrons = Math.min(orbital.capacity, remaining);
+    config.push({ ...orbital, electrons });
+    remaining -= electrons;
+  }
+  return config;
+}
+
+// Moves that turn the Madelung filling into the reference configuration: electrons
+// leave subshells it over-fills for ones it under-fills (Cr: 4s -> 3d).
+function deriveExceptionMoves(filled, reference) {
+  const surplus = [];
+  const deficit = [];
+  ORBITAL_ORDER.forEach(({ n, l }) => {
+    const have = filled.find((c) => c.n === n && c.l === l)?.electrons ?? 0;
+    const want = reference.find((c) => c.n === n && c.l === l)?.electrons ?? 0;
+    if (have > want) surplus.push({ n, l, count: have - want });
+    else if (want > have) deficit.push({ n, l, count: want - have });
+  });
+  const ops = [];
+  while (surplus.length && deficit.length) {
+    const count = Math.min(surplus[0].count, deficit[0].count);
+    ops.push({ from: { n: surplus[0].n, l: surplus[0].l, count }, to: { n: deficit[0].n, l: deficit[0].l, count } });
+    surplus[0].count -= count;
+    deficit[0].count -= count;
+    if (!surplus[0].count) surplus.shift();
+    if (!deficit[0].count) deficit.shift();
+  }
+  return ops;
+}
+
+// Departures from the Madelung order, derived from data/configurations.js on first use.
+let exceptionAdjustments = null;
+
+function getExceptionAdjustments(atomicNumber) {
+  if (!exceptionAdjustments) {
+    exceptionAdjustments = new Map();
+    REFERENCE_CONFIGURATIONS.forEach((ref) => {
+      const ops = deriveExceptionMoves(fillMadelung(ref.atomicNumber), parseElectronConfiguration(ref.configuration));
+      if (ops.length) exceptionAdjustments.set(ref.atomicNumber, ops);
+    });
+  }
+  return exceptionAdjustments.get(atomicNumber) ?? [];
+}
+
 function applyExceptions(config, atomicNumber) {
-  const ops = EXCEPTION_ADJUSTMENTS[atomicNumber];
-  if (!ops) return;
+  const ops = getExceptionAdjustments(atomicNumber);
   ops.forEach(({ from, to }) => {
     if (from) {
       const target = config.find((c) => c.n === from.n && c.l === from.l);
@@ -85,28 +124,521 @@ function applyExceptions(config, atomicNumber) {
       }
     }
   });
-  for (let i = config.length - 1; i >= 0; i -= 1) {
-    if (config[i].electrons <= 0) {
-      config.splice(i, 1);
-    }
+  pruneEmpty(config);
+}
+
+const MAX_ELECTRONS = ORBITAL_ORDER.reduce((sum, o) => sum + o.capacity, 0);
+
+// Subshells ordered for ionization: d counts with the shell above it and f with the
+// one two above (4f and 5d belong with 6s/6p), outermost shell first; within a
+// shell ns/np go before (n-1)d, then (n-2)f. So Fe2+ is [Ar] 3d6, Eu3+ [Xe] 4f6.
+const IONIZATION_SHELL_OFFSET = { s: 0, p: 0, d: 1, f: 2 };
+const IONIZATION_RANK = { p: 0, s: 1, d: 2, f: 3 };
+
+function comesOffFirst(a, b) {
+  const shellA = a.n + IONIZATION_SHELL_OFFSET[a.l];
+  const shellB = b.n + IONIZATION_SHELL_OFFSET[b.l];
+  if (shellA !== shellB) return shellA > shellB;
+  return IONIZATION_RANK[a.l] < IONIZATION_RANK[b.l];
+}
+
+function removeElectrons(config, count) {
+  let remaining = count;
+  while (remaining > 0) {
+    let target = null;
+    config.forEach((entry) => {
+      if (entry.electrons <= 0) return;
+      if (!target || comesOffFirst(entry, target)) target = entry;
+    });
+    if (!target) break;
+    const taken = Math.min(remaining, target.electrons);
+    target.electrons -= taken;
+    remaining -= taken;
   }
+  pruneEmpty(config);
 }
 
-export function buildElectronConfiguration(atomicNumber) {
-  const config = [];
-  let remaining = atomicNumber;
+// Anions gain electrons into the first subshells with vacancies, in aufbau order.
+function addElectrons(config, count) {
+  let remaining = count;
   for (const orbital of ORBITAL_ORDER) {
     if (remaining <= 0) break;
-    const electrons = Math.min(orbital.capacity, remaining);
-    config.push({ ...orbital, electrons });
-    remaining -= electrons;
+    const entry = ensureEntry(config, orbital.n, orbital.l);
+    const added = Math.min(entry.capacity - entry.electrons, remaining);
+    entry.electrons += added;
+    remaining -= added;
   }
+  pruneEmpty(config);
+}
+
+export function buildElectronConfiguration(atomicNumber, charge = 0) {
+  if (!Number.isInteger(charge)) {
+    throw new Error(`Ion charge must be an integer, got ${charge}`);
+  }
+  const electronCount = atomicNumber - charge;
+  if (electronCount < 0 || electronCount > MAX_ELECTRONS) {
+    throw new Error(`Charge ${charge} is not possible for Z=${atomicNumber}`);
+  }
+  const config = fillMadelung(atomicNumber);
   applyExceptions(config, atomicNumber);
+  if (charge > 0) {
+    removeElectrons(config, charge);
+  } else if (charge < 0) {
+    addElectrons(config, -charge);
+  }
+  return config;
+}
+
+function cloneConfiguration(config) {
+  return config.map((entry) => ({ ...entry }));
+}
+
+function describeExceptionMove(config, { from, to }) {
+  const dest = config.find((c) => c.n === to.n && c.l === to.l);
+  const plural = from.count === 1 ? 'electron moves' : 'electrons move';
+  let reason = `${to.n}${to.l} ends up lower in energy than ${from.n}${from.l} here`;
+  if (dest && dest.electrons === dest.capacity) reason = `a completely filled ${to.n}${to.l} subshell is extra stable`;
+  else if (dest && dest.electrons * 2 === dest.capacity) reason = `a half-filled ${to.n}${to.l} subshell is extra stable`;
+  return `${from.count} ${plural} from ${from.n}${from.l} to ${to.n}${to.l}: ${reason}.`;
+}
+
+// Frames that build atomicNumber one electron at a time in ORBITAL_ORDER, then
+// one extra frame per exception move carrying an explanation.
+export function buildAufbauSequence(atomicNumber) {
+  const frames = [{ atomicNumber, electrons: 0, configuration: [], added: null, note: null, exception: false }];
+  const config = [];
+  let placed = 0;
+  for (const orbital of ORBITAL_ORDER) {
+    for (let e = 0; e < orbital.capacity && placed < atomicNumber; e += 1) {
+      const entry = ensureEntry(config, orbital.n, orbital.l);
+      entry.electrons += 1;
+      placed += 1;
+      frames.push({
+        atomicNumber,
+        electrons: placed,
+        configuration: cloneConfiguration(config),
+        added: { n: orbital.n, l: orbital.l },
+        note: null,
+        exception: false,
+      });
+    }
+  }
+  getExceptionAdjustments(atomicNumber).forEach((op) => {
+    const source = config.find((c) => c.n === op.from.n && c.l === op.from.l);
+    if (source) source.electrons = Math.max(0, source.electrons - op.from.count);
+    const dest = ensureEntry(config, op.to.n, op.to.l);
+    if (dest) dest.electrons = Math.min(dest.capacity, dest.electrons + op.to.count);
+    pruneEmpty(config);
+    frames.push({
+      atomicNumber,
+      electrons: placed,
+      configuration: cloneConfiguration(config),
+      added: { n: op.to.n, l: op.to.l },
+      note: describeExceptionMove(config, op),
+      exception: true,
+    });
+  });
+  return frames;
+}
+
+// One ground-state frame per element from fromZ to toZ, so the Madelung order
+// shows up as the periodic table grows (H -> Ne and beyond).
+export function buildElementSequence(fromZ, toZ) {
+  const frames = [];
+  let previous = fromZ > 1 ? buildElectronConfiguration(fromZ - 1) : [];
+  for (let z = fromZ; z <= toZ; z += 1) {
+    const configuration = buildElectronConfiguration(z);
+    const grown = configuration.find((entry) => {
+      const before = previous.find((p) => p.n === entry.n && p.l === entry.l);
+      return !before || before.electrons < entry.electrons;
+    });
+    const ops = getExceptionAdjustments(z);
+    frames.push({
+      atomicNumber: z,
+      electrons: z,
+      configuration,
+      added: grown ? { n: grown.n, l: grown.l } : null,
+      note: ops.length ? ops.map((op) => describeExceptionMove(configuration, op)).join(' ') : null,
+      exception: ops.length > 0,
+    });
+    previous = configuration;
+  }
+  return frames;
+}
+
+// Every subshell any of the configurations touches, at its largest filling.
+export function mergeConfigurations(configs) {
+  const merged = [];
+  configs.forEach((config) => {
+    config.forEach((entry) => {
+      const target = ensureEntry(merged, entry.n, entry.l);
+      if (target) target.electrons = Math.max(target.electrons, entry.electrons);
+    });
+  });
+  pruneEmpty(merged);
+  return merged;
+}
+
+export function isChargeAllowed(atomicNumber, charge) {
+  const electronCount = atomicNumber - charge;
+  return Number.isInteger(charge) && electronCount >= 0 && electronCount <= MAX_ELECTRONS;
+}
+
+// "2+", "-", "" for 0; matches the usual ion notation (Fe2+, Cl-).
+export function formatIonCharge(charge) {
+  if (!charge) return '';
+  const magnitude = Math.abs(charge);
+  return `${magnitude > 1 ? magnitude : ''}${charge > 0 ? '+' : '-'}`;
+}
+
+const NOBLE_GAS_CORES = [
+  { symbol: 'He', electrons: 2 },
+  { symbol: 'Ne', electrons: 10 },
+  { symbol: 'Ar', electrons: 18 },
+  { symbol: 'Kr', electrons: 36 },
+  { symbol: 'Xe', electrons: 54 },
+  { symbol: 'Rn', electrons: 86 },
+  { symbol: 'Og', electrons: 118 },
+];
+
+const SUPERSCRIPT_DIGITS = ['\u2070', '\u00b9', '\u00b2', '\u00b3', '\u2074', '\u2075', '\u2076', '\u2077', '\u2078', '\u2079'];
+
+export function toSuperscript(value) {
+  return String(value).split('').map((d) => SUPERSCRIPT_DIGITS[Number(d)] ?? d).join('');
+}
+
+function fromSuperscript(text) {
+  return text.replace(/[\u2070\u00b9\u00b2\u00b3\u2074-\u2079]/g, (ch) => String(SUPERSCRIPT_DIGITS.indexOf(ch)));
+}
+
+// style: 'plain' (3d6), 'superscript' (3d⁶) or 'latex' (3d^{6})
+function formatSubshell(entry, style) {
+  if (style === 'superscript') return `${entry.n}${entry.l}${toSuperscript(entry.electrons)}`;
+  if (style === 'latex') return `${entry.n}${entry.l}^{${entry.electrons}}`;
+  return `${entry.n}${entry.l}${entry.electrons}`;
+}
+
+function formatCore(symbol, style) {
+  return style === 'latex' ? `[\\mathrm{${symbol}}]` : `[${symbol}]`;
+}
+
+function joinTerms(terms, style) {
+  return terms.join(style === 'latex' ? '\\,' : ' ');
+}
+
+export function formatElectronConfiguration(config, { style = 'plain' } = {}) {
+  return joinTerms(config.map((entry) => formatSubshell(entry, style)), style);
+}
+
+// Largest noble-gas core whose subshells are all filled in config. The configuration itself
+// is excluded (neon is written [He] 2s2 2p6, not [Ne]) unless exactCore is set, which ions
+// and excited states use so La3+ reads [Xe] rather than [Kr] 4d10 5s2 5p6.
+function findNobleGasCore(config, exactCore = false) {
+  const total = config.reduce((sum, entry) => sum + entry.electrons, 0);
+  let best = null;
+  NOBLE_GAS_CORES.forEach((core) => {
+    if (core.electrons > total || (core.electrons === total && !exactCore)) return;
+    const coreConfig = buildElectronConfiguration(core.electrons);
+    const contained = coreConfig.every((c) => config.some((e) => e.n === c.n && e.l === c.l && e.electrons === c.electrons));
+    if (contained) best = { ...core, subshells: coreConfig };
+  });
+  return best;
+}
+
+export function formatCondensedConfiguration(config, { style = 'plain', exactCore = false } = {}) {
+  const core = findNobleGasCore(config, exactCore);
+  if (!core) return formatElectronConfiguration(config, { style });
+  const coreKeys = new Set(core.subshells.map((c) => `${c.n}${c.l}`));
+  const outer = config.filter((entry) => !coreKeys.has(`${entry.n}${entry.l}`));
+  return joinTerms([formatCore(core.symbol, style), ...outer.map((entry) => formatSubshell(entry, style))], style);
+}
+
+const SUBSHELL_TOKEN = /^(\d+)([spdf])\^?\{?(\d+)\}?$/;
+const CORE_TOKEN = /^\[(?:\\mathrm\{)?([A-Z][a-z]?)\}?\]$/;
+
+// Parses "[Kr] 4d10 5s1", "1s2 2s2 2p6", "[Ar] 4s² 3d⁶" or "3d^{6}" into the same
+// entry objects buildElectronConfiguration returns, ordered by ORBITAL_ORDER.
+export function parseElectronConfiguration(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Electron configuration is empty');
+  }
+  const tokens = fromSuperscript(text).replace(/\\,/g, ' ').trim().split(/\s+/);
+  const config = [];
+  tokens.forEach((token, index) => {
+    const coreMatch = CORE_TOKEN.exec(token);
+    if (coreMatch) {
+      if (index !== 0) {
+        throw new Error(`Noble-gas core "${token}" must come first`);
+      }
+      const core = NOBLE_GAS_CORES.find((c) => c.symbol === coreMatch[1]);
+      if (!core) {
+        throw new Error(`"${coreMatch[1]}" is not a noble-gas core`);
+      }
+      // Noble gases fill exactly in Madelung order (and the exception table is parsed from here).
+      fillMadelung(core.electrons).forEach((entry) => config.push(entry));
+      return;
+    }
+    const match = SUBSHELL_TOKEN.exec(token);
+    if (!match) {
+      throw new Error(`Malformed subshell "${token}" (expected e.g. 3d6)`);
+    }
+    const n = Number(match[1]);
+    const l = match[2];
+    const electrons = Number(match[3]);
+    if (!ORDER_INDEX.has(`${n}${l}`)) {
+      throw new Error(`Subshell ${n}${l} does not exist`);
+    }
+    if (config.some((entry) => entry.n === n && entry.l === l)) {
+      throw new Error(`Subshell ${n}${l} is listed more than once`);
+    }
+    const entry = ensureEntry(config, n, l);
+    if (electrons > entry.capacity) {
+      throw new Error(`Subshell ${n}${l} holds at most ${entry.capacity} electrons, got ${electrons}`);
+    }
+    entry.electrons = electrons;
+  });
+  pruneEmpty(config);
   return config;
 }
 
-export function formatElectronConfiguration(config) {
-  return config.map((entry) => `${entry.n}${entry.l}${entry.electrons}`).join(' ');
+export function countElectrons(config) {
+  return config.reduce((sum, entry) => sum + entry.electrons, 0);
+}
+
+export function isSameConfiguration(a, b) {
+  const occupied = (config) => config.filter((entry) => entry.electrons > 0);
+  const left = occupied(a);
+  const right = occupied(b);
+  if (left.length !== right.length) return false;
+  return left.every((entry) => right.some((o) => o.n === entry.n && o.l === entry.l && o.electrons === entry.electrons));
+}
+
+// Returns a copy of config with count electrons promoted (or demoted) between
+// subshells, e.g. carbon 2s -> 2p. The source config is left untouched.
+export function moveElectrons(config, from, to, count = 1) {
+  const next = config.map((entry) => ({ ...entry }));
+  const source = next.find((entry) => entry.n === from.n && entry.l === from.l);
+  if (!source || source.electrons < count) {
+    throw new Error(`Subshell ${from.n}${from.l} does not have ${count} electron${count === 1 ? '' : 's'} to move`);
+  }
+  const dest = ensureEntry(next, to.n, to.l);
+  if (!dest) {
+    throw new Error(`Subshell ${to.n}${to.l} does not exist`);
+  }
+  if (dest === source) return next;
+  if (dest.electrons + count > dest.capacity) {
+    throw new Error(`Subshell ${to.n}${to.l} is full (holds at most ${dest.capacity} electrons)`);
+  }
+  source.electrons -= count;
+  dest.electrons += count;
+  pruneEmpty(next);
+  return next;
+}
+
+const REFERENCE_BY_NUMBER = new Map(REFERENCE_CONFIGURATIONS.map((ref) => [ref.atomicNumber, ref]));
+
+export function getReferenceConfiguration(atomicNumber) {
+  const ref = REFERENCE_BY_NUMBER.get(atomicNumber);
+  if (!ref) return null;
+  return {
+    ...ref,
+    predicted: !!ref.predicted,
+    citation: CONFIGURATION_SOURCES[ref.source] ?? null,
+    entries: parseElectronConfiguration(ref.configuration),
+  };
+}
+
+// Compares buildElectronConfiguration against the reference table for every
+// element; an empty array means they agree (tests/configurations.test.mjs).
+export function findReferenceMismatches() {
+  const mismatches = [];
+  REFERENCE_CONFIGURATIONS.forEach((ref) => {
+    const built = buildElectronConfiguration(ref.atomicNumber);
+    const expected = parseElectronConfiguration(ref.configuration);
+    if (!isSameConfiguration(built, expected)) {
+      mismatches.push({
+        atomicNumber: ref.atomicNumber,
+        symbol: ref.symbol,
+        expected: ref.configuration,
+        actual: formatCondensedConfiguration(built),
+      });
+    }
+  });
+  return mismatches;
+}
+
+export function listSubshells() {
+  return ORBITAL_ORDER.map((o) => ({ ...o }));
+}
+
+// Real-orbital variants per family, in the order orbitals are filled and rendered.
+export const FAMILY_VARIANTS = {
+  s: ['s'],
+  p: ['px', 'py', 'pz'],
+  d: ['dz2', 'dxz', 'dyz', 'dxy', 'dx2y2'],
+  f: ['fz3', 'fxz2', 'fyz2', 'fzx2y2', 'fxyz', 'fcos3', 'fsin3'],
+  // No ground state occupies g or h; these serve the orbital explorer.
+  g: listHarmonicVariants(4),
+  h: listHarmonicVariants(5),
+};
+
+function listComplexVariants(letter, l) {
+  return Array.from({ length: 2 * l + 1 }, (_, i) => {
+    const ml = l - i;
+    return `${letter}${ml > 0 ? '+' : ''}${ml}`;
+  });
+}
+
+// Complex basis: Lz eigenfunctions named by ml, from +l down to -l (box-diagram order).
+export const COMPLEX_FAMILY_VARIANTS = {
+  s: ['s'],
+  p: ['p+1', 'p0', 'p-1'],
+  d: ['d+2', 'd+1', 'd0', 'd-1', 'd-2'],
+  f: ['f+3', 'f+2', 'f+1', 'f0', 'f-1', 'f-2', 'f-3'],
+  g: listComplexVariants('g', 4),
+  h: listComplexVariants('h', 5),
+};
+
+// Real orbitals are cos/sin combinations of the +ml/-ml pair; the cos form takes +ml.
+const VARIANT_ML = {
+  s: 0,
+  px: 1,
+  py: -1,
+  pz: 0,
+  dz2: 0,
+  dxz: 1,
+  dyz: -1,
+  dx2y2: 2,
+  dxy: -2,
+  fz3: 0,
+  fxz2: 1,
+  fyz2: -1,
+  fzx2y2: 2,
+  fxyz: -2,
+  fcos3: 3,
+  fsin3: -3,
+};
+
+// ml of a real ('dxz', 'gcos2') or complex ('d+1') variant name.
+export function getVariantMl(variant) {
+  if (variant in VARIANT_ML) return VARIANT_ML[variant];
+  const harmonic = parseHarmonicVariant(variant);
+  if (harmonic) return harmonic.m;
+  const match = /^[pdfghik]([+-]?\d)$/.exec(variant ?? '');
+  return match ? Number(match[1]) : 0;
+}
+
+function getBasisVariants(family, basis) {
+  const table = basis === 'complex' ? COMPLEX_FAMILY_VARIANTS : FAMILY_VARIANTS;
+  return table[family] ?? [];
+}
+
+// Splits a subshell entry into its orbitals following Hund's rule and the
+// Pauli principle: every orbital takes one spin-up electron before any pairs.
+// basis 'complex' fills the ml-named orbitals from ml = +l downwards.
+export function buildOrbitalOccupancy(entry, { basis = 'real' } = {}) {
+  const variants = getBasisVariants(entry.l, basis);
+  const count = variants.length || Math.max(1, entry.capacity / 2);
+  const orbitals = Array.from({ length: count }, (_, index) => ({
+    index,
+    variant: variants[index] ?? null,
+    up: false,
+    down: false,
+    electrons: 0,
+  }));
+  const electrons = Math.min(entry.electrons, count * 2);
+  for (let e = 0; e < electrons; e += 1) {
+    const orbital = orbitals[e % count];
+    if (e < count) orbital.up = true;
+    else orbital.down = true;
+    orbital.electrons += 1;
+  }
+  return orbitals;
+}
+
+// One row per electron: (n, l, ml, ms) plus the orbital variant it occupies.
+// bases maps subshell keys ('3d') to 'real' (default) or 'complex'.
+export function listQuantumNumbers(config, { bases = {} } = {}) {
+  const rows = [];
+  config.forEach((entry) => {
+    const subshell = `${entry.n}${entry.l}`;
+    buildOrbitalOccupancy(entry, { basis: bases[subshell] }).forEach((orbital) => {
+      const base = {
+        n: entry.n,
+        l: FAMILY_L[entry.l],
+        family: entry.l,
+        subshell,
+        ml: getVariantMl(orbital.variant),
+        variant: orbital.variant,
+      };
+      if (orbital.up) rows.push({ ...base, ms: 0.5 });
+      if (orbital.down) rows.push({ ...base, ms: -0.5 });
+    });
+  });
+  return rows;
+}
+
+export function countUnpairedElectrons(config) {
+  return config.reduce(
+    (sum, entry) => sum + buildOrbitalOccupancy(entry).filter((o) => o.electrons === 1).length,
+    0
+  );
+}
+
+export function describeMagnetism(config) {
+  const unpaired = countUnpairedElectrons(config);
+  return { unpaired, magnetism: unpaired > 0 ? 'paramagnetic' : 'diamagnetic' };
+}
+
+// Which subshells count as valence / semi-core for each block, relative to the
+// outermost shell N (the element's period). Everything else is core.
+const BLOCK_VALENCE = {
+  s: [{ dn: 0, l: 's' }, { dn: 0, l: 'p' }],
+  p: [{ dn: 0, l: 's' }, { dn: 0, l: 'p' }],
+  d: [{ dn: 0, l: 's' }, { dn: 0, l: 'p' }, { dn: 1, l: 'd' }],
+  f: [{ dn: 0, l: 's' }, { dn: 0, l: 'p' }, { dn: 1, l: 'd' }, { dn: 2, l: 'f' }],
+};
+
+const BLOCK_SEMI_CORE = {
+  s: [{ dn: 1, l: 's' }, { dn: 1, l: 'p' }],
+  p: [{ dn: 1, l: 'd' }, { dn: 2, l: 'f' }],
+  d: [{ dn: 1, l: 's' }, { dn: 1, l: 'p' }, { dn: 2, l: 'f' }],
+  f: [{ dn: 1, l: 's' }, { dn: 1, l: 'p' }],
+};
+
+function matchesShell(rules, entry, outerN) {
+  return rules.some((rule) => entry.n === outerN - rule.dn && entry.l === rule.l);
+}
+
+// Splits config into core, semi-core and valence subshells according to the
+// element's block (Fe: [Ne] core, 3s 3p semi-core, 4s 3d valence). Works for
+// ions and excited configurations because N comes from the period, not config.
+export function partitionElectrons(config, element) {
+  const block = element?.block ?? 's';
+  const outerN = element?.period ?? config.reduce((max, entry) => Math.max(max, entry.n), 0);
+  const roles = new Map();
+  const parts = { core: [], semiCore: [], valence: [] };
+  config.forEach((entry) => {
+    let role = 'core';
+    if (matchesShell(BLOCK_VALENCE[block] ?? BLOCK_VALENCE.s, entry, outerN) || entry.n > outerN) role = 'valence';
+    else if (matchesShell(BLOCK_SEMI_CORE[block] ?? [], entry, outerN)) role = 'semiCore';
+    roles.set(`${entry.n}${entry.l}`, role);
+    parts[role].push(entry);
+  });
+  return {
+    ...parts,
+    roles,
+    counts: {
+      core: countElectrons(parts.core),
+      semiCore: countElectrons(parts.semiCore),
+      valence: countElectrons(parts.valence),
+    },
+    oxidationStates: getCommonOxidationStates(element?.symbol),
+  };
+}
+
+export function getCommonOxidationStates(symbol) {
+  return [...(COMMON_OXIDATION_STATES[symbol] ?? [])];
 }
 
 export function computeValenceElectrons(config) {
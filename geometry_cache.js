@@ -0,0 +1,126 @@
+// geometry_cache.js - Reference-counted geometry/material cache and model disposal
+// Orbital shapes depend only on (family, variant, power, radialScale, ...) at unit radius, so
+// meshes of every shell share one buffer and are scaled per shell. Entries stay alive while
+// any mesh holds them; unused ones are kept in a small LRU so browsing back and forth through
+// the periodic table reuses them, and are disposed once they fall out of it.
+
+const MAX_UNUSED_ENTRIES = 64;
+
+const geometries = new Map(); // key -> { value, refs }
+const materials = new Map();
+const unused = new Map(); // insertion-ordered: oldest first; value is { table, key }
+
+function acquire(table, kind, key, build) {
+  let entry = table.get(key);
+  if (!entry) {
+    const value = build();
+    value.userData.cacheKey = key;
+    value.userData.cached = kind;
+    entry = { value, refs: 0 };
+    table.set(key, entry);
+  }
+  entry.refs += 1;
+  unused.delete(`${kind}:${key}`);
+  return entry.value;
+}
+
+function release(table, kind, value) {
+  const key = value?.userData?.cacheKey;
+  const entry = key !== undefined ? table.get(key) : null;
+  if (!entry || entry.value !== value) return;
+  entry.refs = Math.max(0, entry.refs - 1);
+  if (entry.refs > 0) return;
+  unused.set(`${kind}:${key}`, { table, key });
+  while (unused.size > MAX_UNUSED_ENTRIES) {
+    const [oldest, { table: owner, key: ownerKey }] = unused.entries().next().value;
+    unused.delete(oldest);
+    owner.get(ownerKey)?.value.dispose();
+    owner.delete(ownerKey);
+  }
+}
+
+// build() runs only on a miss. Every acquire needs a matching release (disposeObject does it).
+export function acquireGeometry(key, build) {
+  return acquire(geometries, 'geometry', key, build);
+}
+
+export function hasCachedGeometry(key) {
+  return geometries.has(key);
+}
+
+export function releaseGeometry(geometry) {
+  release(geometries, 'geometry', geometry);
+}
+
+export function acquireMaterial(key, build) {
+  return acquire(materials, 'material', key, build);
+}
+
+export function releaseMaterial(material) {
+  release(materials, 'material', material);
+}
+
+// Gives mesh a private copy of a shared material before per-mesh edits (opacity fades,
+// wireframe toggles) so they don't leak into every mesh using the same one.
+export function detachSharedMaterial(mesh) {
+  const material = mesh?.material;
+  if (!material || Array.isArray(material) || material.userData?.cached !== 'material') return material;
+  const own = material.clone();
+  delete own.userData.cached;
+  delete own.userData.cacheKey;
+  releaseMaterial(material);
+  mesh.material = own;
+  return own;
+}
+
+// Cached materials are released once per object using them (one acquire each); others are
+// disposed once however many objects share them.
+function disposeMaterial(material, seen) {
+  if (!material) return;
+  if (material.userData?.cached === 'material') {
+    releaseMaterial(material);
+    return;
+  }
+  if (seen.has(material)) return;
+  seen.add(material);
+  Object.values(material).forEach((value) => {
+    if (value?.isTexture) value.dispose();
+  });
+  material.dispose();
+}
+
+// Releases or disposes every geometry, material and texture under root and detaches it.
+// Objects may list extra cached geometries they acquired (e.g. LOD levels) in
+// userData.cachedGeometries; those are released instead of obj.geometry. Everything gets
+// userData.disposed so late async work (worker meshes) can tell it arrived too late.
+export function disposeObject(root) {
+  if (!root) return;
+  root.removeFromParent();
+  const seen = new Set();
+  root.traverse((obj) => {
+    obj.userData.disposed = true;
+    const extra = obj.userData?.cachedGeometries;
+    if (extra) {
+      extra.forEach((geometry) => releaseGeometry(geometry));
+    } else if (obj.geometry && !seen.has(obj.geometry)) {
+      if (obj.geometry.userData?.cached === 'geometry') releaseGeometry(obj.geometry);
+      else {
+        seen.add(obj.geometry);
+        obj.geometry.dispose();
+      }
+    }
+    const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
+    mats.forEach((material) => disposeMaterial(material, seen));
+  });
+}
+
+export function getCacheStats() {
+  const count = (table) => Array.from(table.values()).reduce((sum, entry) => sum + (entry.refs > 0 ? 1 : 0), 0);
+  return {
+    geometries: geometries.size,
+    geometriesInUse: count(geometries),
+    materials: materials.size,
+    materialsInUse: count(materials),
+    unused: unused.size,
+  };
+}
@@ -0,0 +1,169 @@
+// hybrids.js - Hybrid orbital sets (sp ... sp3d2) built from the angular functions in orbitals.js
+// Coordinates follow orbitals.js: the polar axis (pz, dz2) is frame Y, so py lies along frame Z.
+import * as THREE from 'three';
+import { createOrbital, evaluateOrbitalAmplitude } from './orbitals.js';
+import { angularNormalization } from './probability.js';
+
+const SQRT2 = Math.SQRT2;
+const SQRT3 = Math.sqrt(3);
+const SQRT6 = Math.sqrt(6);
+
+const X = new THREE.Vector3(1, 0, 0);
+const Y = new THREE.Vector3(0, 1, 0);
+const Z = new THREE.Vector3(0, 0, 1);
+
+function inPlane(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const phi = (2 * Math.PI * i) / count;
+    return new THREE.Vector3(Math.cos(phi), 0, Math.sin(phi));
+  });
+}
+
+export const HYBRID_SETS = {
+  sp: { label: 'sp', geometry: 'linear', angle: '180°', uses: ['s', 'p'] },
+  sp2: { label: 'sp²', geometry: 'trigonal planar', angle: '120°', uses: ['s', 'p'] },
+  sp3: { label: 'sp³', geometry: 'tetrahedral', angle: '109.5°', uses: ['s', 'p'] },
+  sp3d: { label: 'sp³d', geometry: 'trigonal bipyramidal', angle: '90°/120°', uses: ['s', 'p', 'd'] },
+  sp3d2: { label: 'sp³d²', geometry: 'octahedral', angle: '90°', uses: ['s', 'p', 'd'] },
+};
+
+// u . p with px, py, pz mapped onto scene x, z, y.
+function pComponents(u, scale) {
+  return [
+    { family: 'p', variant: 'px', coefficient: scale * u.x },
+    { family: 'p', variant: 'py', coefficient: scale * u.z },
+    { family: 'p', variant: 'pz', coefficient: scale * u.y },
+  ].filter((c) => Math.abs(c.coefficient) > 1e-12);
+}
+
+// Equivalent hybrids: sqrt(1/N) s + sqrt(1 - 1/N) (u . p).
+function equivalentHybrid(u, count) {
+  return [{ family: 's', variant: 's', coefficient: Math.sqrt(1 / count) }, ...pComponents(u, Math.sqrt(1 - 1 / count))];
+}
+
+function buildSetDirections(type) {
+  switch (type) {
+    case 'sp':
+      return [Y, Y.clone().negate()].map((u) => ({ direction: u, components: equivalentHybrid(u, 2) }));
+    case 'sp2':
+      return inPlane(3).map((u) => ({ direction: u, components: equivalentHybrid(u, 3) }));
+    case 'sp3':
+      return [
+        new THREE.Vector3(1, 1, 1),
+        new THREE.Vector3(1, -1, -1),
+        new THREE.Vector3(-1, 1, -1),
+        new THREE.Vector3(-1, -1, 1),
+      ].map((v) => {
+        const u = v.normalize();
+        return { direction: u, components: equivalentHybrid(u, 4) };
+      });
+    case 'sp3d': {
+      // Equatorial sp2 from s, px, py; axial pair from pz and dz2.
+      const equatorial = inPlane(3).map((u) => ({ direction: u, components: equivalentHybrid(u, 3) }));
+      const axial = [1, -1].map((sign) => ({
+        direction: Y.clone().multiplyScalar(sign),
+        components: [
+          { family: 'p', variant: 'pz', coefficient: sign / SQRT2 },
+          { family: 'd', variant: 'dz2', coefficient: 1 / SQRT2 },
+        ],
+      }));
+      return [...axial, ...equatorial];
+    }
+    case 'sp3d2': {
+      const sets = [];
+      [1, -1].forEach((sign) => {
+        sets.push({
+          direction: Y.clone().multiplyScalar(sign),
+          components: [
+            { family: 's', variant: 's', coefficient: 1 / SQRT6 },
+            { family: 'p', variant: 'pz', coefficient: sign / SQRT2 },
+            { family: 'd', variant: 'dz2', coefficient: 1 / SQRT3 },
+          ],
+        });
+        sets.push({
+          direction: X.clone().multiplyScalar(sign),
+          components: [
+            { family: 's', variant: 's', coefficient: 1 / SQRT6 },
+            { family: 'p', variant: 'px', coefficient: sign / SQRT2 },
+            { family: 'd', variant: 'dz2', coefficient: -1 / (2 * SQRT3) },
+            { family: 'd', variant: 'dx2y2', coefficient: 0.5 },
+          ],
+        });
+        sets.push({
+          direction: Z.clone().multiplyScalar(sign),
+          components: [
+            { family: 's', variant: 's', coefficient: 1 / SQRT6 },
+            { family: 'p', variant: 'py', coefficient: sign / SQRT2 },
+            { family: 'd', variant: 'dz2', coefficient: -1 / (2 * SQRT3) },
+            { family: 'd', variant: 'dx2y2', coefficient: -0.5 },
+          ],
+        });
+      });
+      return sets;
+    }
+    default:
+      throw new Error(`Unknown hybrid set "${type}"`);
+  }
+}
+
+// Sum of unit-norm angular functions; components as returned by listHybridOrbitals.
+export function evaluateHybridAmplitude(components, dir) {
+  return components.reduce(
+    (sum, c) => sum + c.coefficient * angularNormalization(c) * evaluateOrbitalAmplitude(c.family, c.variant, dir),
+    0
+  );
+}
+
+// [{ name, direction, components: [{ family, variant, coefficient }] }] for one hybrid set.
+// Coefficients refer to normalized real harmonics and each hybrid is normalized.
+export function listHybridOrbitals(type) {
+  return buildSetDirections(type).map((item, index) => ({
+    name: `${type}-${index + 1}`,
+    direction: item.direction.clone(),
+    components: item.components,
+  }));
+}
+
+// Sets the valence shell can form: s and p need n >= 2, d-containing sets need an nd subshell (n >= 3).
+export function listAvailableHybrids(valenceN) {
+  return Object.keys(HYBRID_SETS).filter((type) => {
+    if (valenceN < 2) return false;
+    return !HYBRID_SETS[type].uses.includes('d') || valenceN >= 3;
+  });
+}
+
+// One lobe mesh per hybrid, peak-scaled like the other angular shapes in orbitals.js.
+export function createHybridGroup({
+  type,
+  baseRadius = 0.8,
+  radialScale = 1.2,
+  power = 1.6,
+  colors = { pos: 0xffb86b, neg: 0x7fbaff },
+  opacity = 0.55,
+  rimStrength = 1.4,
+  rimPower = 2.0,
+} = {}) {
+  const group = new THREE.Group();
+  group.name = `hybrid-${type}`;
+  group.userData = { type: 'hybrid', hybrid: type, ...HYBRID_SETS[type] };
+  listHybridOrbitals(type).forEach((hybrid, index) => {
+    const peak = Math.abs(evaluateHybridAmplitude(hybrid.components, hybrid.direction)) || 1;
+    const mesh = createOrbital({
+      family: 'hybrid',
+      variant: hybrid.name,
+      baseRadius,
+      radialScale,
+      power,
+      colors,
+      material: { opacity, transparent: true },
+      rimStrength,
+      rimPower,
+      addRings: false,
+      enableNodes: false,
+      amplitude: (dir) => evaluateHybridAmplitude(hybrid.components, dir) / peak,
+    });
+    mesh.userData.hybrid = { type, index, direction: hybrid.direction, components: hybrid.components };
+    group.add(mesh);
+  });
+  return group;
+}
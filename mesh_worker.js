@@ -0,0 +1,14 @@
+// mesh_worker.js - Module worker building orbital mesh buffers off the main thread
+// Message in: { id, kind, cfg, options }; out: { id, data } with every buffer transferred,
+// or { id, error }. See orbital_mesh_data.js for the data layout.
+import { computeMeshData, listTransferables } from './orbital_mesh_data.js';
+
+self.onmessage = (event) => {
+  const { id, kind, cfg, options } = event.data;
+  try {
+    const data = computeMeshData(kind, cfg, options);
+    self.postMessage({ id, data }, listTransferables(data));
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,88 @@
+// mesh_worker_pool.js - Small pool of mesh_worker.js workers for orbital mesh generation
+// Jobs go to the worker with the fewest in flight. Where module workers are unavailable (Node,
+// older browsers, a worker failing to load) jobs run inline on the calling thread instead,
+// and onFallback(reason) lets the page say so.
+import { computeMeshData } from './orbital_mesh_data.js';
+
+const MAX_WORKERS = 4;
+
+export function createMeshWorkerPool({ size, onFallback } = {}) {
+  const cores = globalThis.navigator?.hardwareConcurrency ?? 2;
+  const count = size ?? Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+  const workers = [];
+  const jobs = new Map(); // id -> { worker, kind, cfg, options, resolve, reject }
+  let nextId = 1;
+
+  function runInline(job) {
+    try {
+      job.resolve(computeMeshData(job.kind, job.cfg, job.options));
+    } catch (error) {
+      job.reject(error);
+    }
+  }
+
+  function onMessage(event) {
+    const { id, data, error } = event.data;
+    const job = jobs.get(id);
+    if (!job) return;
+    jobs.delete(id);
+    job.worker.busy -= 1;
+    if (error) job.reject(new Error(error));
+    else job.resolve(data);
+  }
+
+  // A worker that fails to load or crashes leaves the pool; its jobs finish inline.
+  function onError(worker, event) {
+    onFallback?.(event.message ?? 'worker error');
+    worker.terminate();
+    workers.splice(workers.indexOf(worker), 1);
+    jobs.forEach((job, id) => {
+      if (job.worker !== worker) return;
+      jobs.delete(id);
+      runInline(job);
+    });
+  }
+
+  if (typeof Worker !== 'undefined') {
+    try {
+      for (let i = 0; i < count; i += 1) {
+        const worker = new Worker(new URL('./mesh_worker.js', import.meta.url), { type: 'module' });
+        worker.busy = 0;
+        worker.onmessage = onMessage;
+        worker.onerror = (event) => onError(worker, event);
+        workers.push(worker);
+      }
+    } catch (error) {
+      onFallback?.(error.message ?? String(error));
+    }
+  }
+
+  return {
+    // Resolves with orbital_mesh_data.js mesh data; cfg and options must be structured-cloneable.
+    request(kind, cfg, options = {}) {
+      return new Promise((resolve, reject) => {
+        const job = { kind, cfg, options, resolve, reject };
+        if (!workers.length) {
+          // Deferred so callers see the same asynchronous contract either way.
+          Promise.resolve().then(() => runInline(job));
+          return;
+        }
+        const worker = workers.reduce((best, candidate) => (candidate.busy < best.busy ? candidate : best));
+        const id = nextId;
+        nextId += 1;
+        job.worker = worker;
+        worker.busy += 1;
+        jobs.set(id, job);
+        worker.postMessage({ id, kind, cfg, options });
+      });
+    },
+    dispose() {
+      workers.forEach((worker) => worker.terminate());
+      workers.length = 0;
+      jobs.forEach((job) => job.reject(new Error('Mesh worker pool disposed')));
+      jobs.clear();
+    },
+    get size() { return workers.length; },
+    get pending() { return jobs.size; },
+  };
+}
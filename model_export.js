@@ -0,0 +1,276 @@
+// model_export.js - Writes element models or single orbitals as glTF/GLB, STL, OBJ or PLY
+// Meshes are baked in scene orientation (so in the chosen axis convention, see coordinates.js)
+// using their full-detail geometry (not the current LOD level), optionally welded into closed
+// shells for printing, and scaled so the longest side has a given size in millimetres.
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+
+// glTF is specified in metres; the others are unitless and read as millimetres by slicers.
+export const EXPORT_FORMATS = {
+  glb: { label: 'glTF binary (.glb)', extension: 'glb', mime: 'model/gltf-binary', unitsPerMillimetre: 0.001 },
+  gltf: { label: 'glTF (.gltf)', extension: 'gltf', mime: 'model/gltf+json', unitsPerMillimetre: 0.001 },
+  stl: { label: 'STL (.stl)', extension: 'stl', mime: 'model/stl', unitsPerMillimetre: 1 },
+  obj: { label: 'Wavefront OBJ (.obj)', extension: 'obj', mime: 'model/obj', unitsPerMillimetre: 1 },
+  ply: { label: 'PLY with amp/phase (.ply)', extension: 'ply', mime: 'application/octet-stream', unitsPerMillimetre: 1 },
+};
+
+const WELD_TOLERANCE = 1e-4; // scene units; merges the sphere seam and pole vertices
+const EXTRA_ATTRIBUTES = ['amp', 'phase', 'phaseAngle'];
+
+function describeMesh(obj) {
+  const orbital = obj.userData?.orbital;
+  const n = obj.userData?.shell?.n ?? obj.userData?.orbitalConfig?.principalN;
+  if (orbital) return n ? `${n}${orbital.variant}` : orbital.variant; // '3dz2', '4f+1', 'sp3-2'
+  if (obj.userData?.type === 'nucleus') return 'nucleus';
+  if (obj.userData?.isRingOverlay) return 'ring';
+  return obj.name || 'mesh';
+}
+
+// Surfaces worth exporting: orbital lobes/isosurfaces, ring overlays and the nucleus. Edge
+// lines, outlines, node helpers and point clouds are left out, as are orbitals switched off
+// by clicking them (unless one is the export target itself).
+function collectMeshes(target, { includeNucleus }) {
+  const meshes = [];
+  target.traverseVisible((obj) => {
+    if (!obj.isMesh || obj.userData?.isNodeHelper || obj.userData?.isOutline) return;
+    if (obj.userData?.type === 'nucleus' && !includeNucleus) return;
+    if (obj !== target && obj.userData?.disabled) return;
+    if (obj.parent?.isPoints) return; // the superposition's centroid marker
+    meshes.push(obj);
+  });
+  return meshes;
+}
+
+// Every baked geometry carries position, normal and color (material color for meshes without
+// vertex colors) so formats that need one layout across meshes can concatenate them.
+function bakeMesh(obj, frame, { watertight }) {
+  const source = obj.userData?.lod?.levels[0] ?? obj.geometry;
+  let geo = new THREE.BufferGeometry();
+  // Welding ignores normals (they differ across the seam) and recomputes them afterwards.
+  const names = watertight ? ['position', 'color', ...EXTRA_ATTRIBUTES] : ['position', 'normal', 'color', ...EXTRA_ATTRIBUTES];
+  names.forEach((name) => {
+    const attribute = source.getAttribute(name);
+    if (attribute) geo.setAttribute(name, attribute.clone());
+  });
+  if (source.index) geo.setIndex(source.index.clone());
+  if (!geo.getAttribute('color')) {
+    const color = obj.material?.color ?? new THREE.Color(0xffffff);
+    const count = geo.getAttribute('position').count;
+    const colors = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) color.toArray(colors, 3 * i);
+    geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  }
+  const matrix = new THREE.Matrix4().multiplyMatrices(frame, obj.matrixWorld);
+  geo.applyMatrix4(matrix);
+  // The axis conventions mirror the model; keep triangles wound counter-clockwise outwards.
+  if (matrix.determinant() < 0) flipWinding(geo);
+  if (watertight) geo = weld(geo);
+  if (!geo.getAttribute('normal')) geo.computeVertexNormals();
+  geo.name = describeMesh(obj);
+  return geo;
+}
+
+function flipWinding(geometry) {
+  if (!geometry.index) geometry.setIndex(Array.from({ length: geometry.getAttribute('position').count }, (_, i) => i));
+  const index = geometry.index.array;
+  for (let i = 0; i < index.length; i += 3) {
+    const b = index[i + 1];
+    index[i + 1] = index[i + 2];
+    index[i + 2] = b;
+  }
+}
+
+// Welds vertices that share a position (sphere seams and poles, marching-cube soup) and drops
+// the triangles that collapse, leaving each orbital a closed, consistently indexed shell.
+// Only positions decide: at the poles of complex orbitals the phase angle is arbitrary, so a
+// merge that compared every attribute would leave them open.
+function weld(geometry) {
+  const position = geometry.getAttribute('position');
+  const remap = new Uint32Array(position.count);
+  const slots = new Map();
+  const kept = [];
+  for (let i = 0; i < position.count; i++) {
+    const key = `${Math.round(position.getX(i) / WELD_TOLERANCE)},${Math.round(position.getY(i) / WELD_TOLERANCE)},${Math.round(position.getZ(i) / WELD_TOLERANCE)}`;
+    if (!slots.has(key)) {
+      slots.set(key, kept.length);
+      kept.push(i);
+    }
+    remap[i] = slots.get(key);
+  }
+  const welded = new THREE.BufferGeometry();
+  Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+    const size = attribute.itemSize;
+    const array = new Float32Array(kept.length * size);
+    kept.forEach((source, i) => {
+      for (let k = 0; k < size; k++) array[i * size + k] = attribute.array[source * size + k];
+    });
+    welded.setAttribute(name, new THREE.BufferAttribute(array, size));
+  });
+  const count = geometry.index ? geometry.index.count : position.count;
+  const indices = [];
+  for (let i = 0; i < count; i += 3) {
+    const [a, b, c] = [0, 1, 2].map((k) => remap[geometry.index ? geometry.index.getX(i + k) : i + k]);
+    if (a !== b && b !== c && c !== a) indices.push(a, b, c);
+  }
+  welded.setIndex(indices);
+  geometry.dispose();
+  return welded;
+}
+
+// Counts edges used by other than exactly two triangles; 0 means every shell is closed.
+export function countOpenEdges(geometry) {
+  const index = geometry.index?.array;
+  if (!index) return Infinity;
+  const uses = new Map();
+  for (let i = 0; i < index.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = index[i + k];
+      const b = index[i + ((k + 1) % 3)];
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      uses.set(key, (uses.get(key) ?? 0) + 1);
+    }
+  }
+  let open = 0;
+  uses.forEach((count) => {
+    if (count !== 2) open++;
+  });
+  return open;
+}
+
+// Binary little-endian PLY of all geometries merged, with the orbital amp/phase attributes as
+// extra vertex properties (0 / +1 for the nucleus and rings).
+export function writePLY(geometries) {
+  const vertexCount = geometries.reduce((sum, geo) => sum + geo.getAttribute('position').count, 0);
+  const faceCount = geometries.reduce((sum, geo) => sum + (geo.index ? geo.index.count : geo.getAttribute('position').count) / 3, 0);
+  const header = [
+    'ply',
+    'format binary_little_endian 1.0',
+    'comment orbital export: amp = |angular part|^power, phase = sign of psi, phase_angle = arg(psi) in radians',
+    `element vertex ${vertexCount}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    'property float nx',
+    'property float ny',
+    'property float nz',
+    'property uchar red',
+    'property uchar green',
+    'property uchar blue',
+    'property float amp',
+    'property float phase',
+    'property float phase_angle',
+    `element face ${faceCount}`,
+    'property list uchar int vertex_indices',
+    'end_header',
+    '',
+  ].join('\n');
+  const headerBytes = new TextEncoder().encode(header);
+  const vertexStride = 6 * 4 + 3 + 3 * 4;
+  const buffer = new ArrayBuffer(headerBytes.length + vertexCount * vertexStride + faceCount * 13);
+  new Uint8Array(buffer).set(headerBytes);
+  const view = new DataView(buffer);
+  let o = headerBytes.length;
+  const color = new THREE.Color();
+  const rgb = { r: 0, g: 0, b: 0 };
+
+  geometries.forEach((geo) => {
+    const position = geo.getAttribute('position');
+    const normal = geo.getAttribute('normal');
+    const colors = geo.getAttribute('color');
+    const [amp, phase, phaseAngle] = EXTRA_ATTRIBUTES.map((name) => geo.getAttribute(name));
+    for (let i = 0; i < position.count; i++) {
+      [position.getX(i), position.getY(i), position.getZ(i), normal.getX(i), normal.getY(i), normal.getZ(i)].forEach((value) => {
+        view.setFloat32(o, value, true);
+        o += 4;
+      });
+      // Vertex colors are linear; PLY viewers expect sRGB bytes.
+      color.fromBufferAttribute(colors, i).getRGB(rgb, THREE.SRGBColorSpace);
+      [rgb.r, rgb.g, rgb.b].forEach((value) => {
+        view.setUint8(o, Math.round(THREE.MathUtils.clamp(value, 0, 1) * 255));
+        o += 1;
+      });
+      [amp ? amp.getX(i) : 0, phase ? phase.getX(i) : 1, phaseAngle ? phaseAngle.getX(i) : 0].forEach((value) => {
+        view.setFloat32(o, value, true);
+        o += 4;
+      });
+    }
+  });
+  let offset = 0;
+  geometries.forEach((geo) => {
+    const count = geo.index ? geo.index.count : geo.getAttribute('position').count;
+    for (let i = 0; i < count; i += 3) {
+      view.setUint8(o, 3);
+      o += 1;
+      for (let k = 0; k < 3; k++) {
+        view.setInt32(o, offset + (geo.index ? geo.index.getX(i + k) : i + k), true);
+        o += 4;
+      }
+    }
+    offset += geo.getAttribute('position').count;
+  });
+  return buffer;
+}
+
+function buildExportScene(geometries) {
+  const scene = new THREE.Scene();
+  geometries.forEach((geo) => {
+    const material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.6, side: THREE.DoubleSide });
+    const mesh = new THREE.Mesh(geo, material);
+    mesh.name = geo.name;
+    scene.add(mesh);
+  });
+  scene.updateMatrixWorld(true);
+  return scene;
+}
+
+// target: a model group from createElementModel & co., or a single createOrbital mesh.
+// size: longest side in millimetres (0 keeps scene units). Resolves with
+// { blob, extension, meshCount, dimensions (in the format's units), openEdges (watertight only) }.
+export async function exportOrbitalModel(target, { format = 'glb', watertight = false, size = 0, includeNucleus = true } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  if (!target) throw new Error('Nothing to export');
+  target.updateWorldMatrix(true, true);
+  // Relative to whatever holds the model (the scene), so a single orbital keeps the model's orientation.
+  let root = target;
+  while (root.parent && !root.parent.isScene) root = root.parent;
+  const frame = root.parent ? root.parent.matrixWorld.clone().invert() : new THREE.Matrix4();
+  const meshes = collectMeshes(target, { includeNucleus });
+  if (!meshes.some((obj) => obj.userData?.orbital)) {
+    throw new Error('No orbital surfaces to export; point clouds and superpositions have none (switch to lobes or isosurfaces).');
+  }
+
+  const geometries = meshes.map((obj) => bakeMesh(obj, frame, { watertight }));
+  const box = new THREE.Box3();
+  geometries.forEach((geo) => {
+    geo.computeBoundingBox();
+    box.union(geo.boundingBox);
+  });
+  const extent = box.getSize(new THREE.Vector3());
+  const longest = Math.max(extent.x, extent.y, extent.z) || 1;
+  const scale = size > 0 ? (size / longest) * spec.unitsPerMillimetre : 1;
+  geometries.forEach((geo) => geo.scale(scale, scale, scale));
+  const openEdges = watertight ? geometries.reduce((sum, geo) => sum + countOpenEdges(geo), 0) : null;
+
+  let data;
+  if (format === 'ply') {
+    data = writePLY(geometries);
+  } else {
+    const scene = buildExportScene(geometries);
+    if (format === 'stl') data = new STLExporter().parse(scene, { binary: true });
+    else if (format === 'obj') data = new OBJExporter().parse(scene);
+    else data = await new GLTFExporter().parseAsync(scene, { binary: format === 'glb' });
+    if (format === 'gltf') data = JSON.stringify(data);
+    scene.traverse((obj) => obj.material?.dispose());
+  }
+  geometries.forEach((geo) => geo.dispose());
+  return {
+    blob: new Blob([data], { type: spec.mime }),
+    extension: spec.extension,
+    meshCount: geometries.length,
+    dimensions: extent.multiplyScalar(scale).toArray(),
+    openEdges,
+  };
+}
@@ -0,0 +1,105 @@
+// orbital_math.js - Angular shapes and psi of the orbitals orbitals.js renders
+// Directions are plain { x, y, z } unit vectors with the polar axis on Y.
+// Pure math, no three.js, so it can be imported in Node and in workers as well as the browser.
+import { FAMILY_L, evaluateRadialWavefunction } from './radial.js';
+import { HARMONIC_LETTERS, evaluateRealHarmonic, harmonicPeak, formatHarmonicVariant } from './spherical_harmonics.js';
+import { FAMILY_VARIANTS, getVariantMl } from './electron_config.js';
+
+const TWO_PI = Math.PI * 2;
+
+const shapeScales = new Map(); // (l, m) -> 1 / peak |Y_lm|
+
+// Every real variant is Y_lm scaled to peak 1. Cubic names ('px', 'dxz', 'fzx2y2') take
+// their m from getVariantMl, the orientation table for them; each has the sign of its
+// Y_lm, so no sign table is needed. Generated names ('gz4', 'dcos1') carry m themselves.
+export function evaluateOrbitalAmplitude(family, variant, dir) {
+  const l = HARMONIC_LETTERS.indexOf(family);
+  if (l <= 0) return 1.0;
+  let m = getVariantMl(variant);
+  if (Math.abs(m) > l) m = 0;
+  const key = l * 64 + m;
+  let scale = shapeScales.get(key);
+  if (scale === undefined) {
+    scale = 1 / harmonicPeak(l, m);
+    shapeScales.set(key, scale);
+  }
+  return evaluateRealHarmonic(l, m, dir) * scale;
+}
+
+// Complex (Lz eigenstate) variants are named by ml: 'p+1', 'd0', 'g-4'. Returns null for real ones.
+export function parseComplexVariant(variant) {
+  const match = /^[pdfghik]([+-]?\d)$/.exec(variant ?? '');
+  return match ? Number(match[1]) : null;
+}
+
+// Angular part as magnitude and phase angle in [0, 2pi). Real variants have angle 0 or pi;
+// complex ones are theta(cos-form) * e^(i ml phi) with the Condon-Shortley sign for odd ml > 0,
+// so that e.g. px = (p-1 - p+1) / sqrt(2).
+export function evaluateOrbitalPhasor(family, variant, dir, target = { magnitude: 0, angle: 0 }) {
+  const ml = parseComplexVariant(variant);
+  if (ml === null) {
+    const amp = evaluateOrbitalAmplitude(family, variant, dir);
+    target.magnitude = Math.abs(amp);
+    target.angle = amp < 0 ? Math.PI : 0;
+    return target;
+  }
+  const m = Math.abs(ml);
+  const cosT = dir.y;
+  const sinT = Math.sqrt(Math.max(0, 1 - cosT * cosT));
+  const cosVariant = FAMILY_VARIANTS[family]?.find((name) => getVariantMl(name) === m) ?? formatHarmonicVariant(family, m);
+  const thetaPart = evaluateOrbitalAmplitude(family, cosVariant, { x: sinT, y: cosT, z: 0 });
+  let angle = ml * Math.atan2(dir.z, dir.x);
+  if (thetaPart < 0) angle += Math.PI;
+  if (ml > 0 && ml % 2 === 1) angle += Math.PI;
+  target.magnitude = Math.abs(thetaPart);
+  target.angle = ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+  return target;
+}
+
+// cfg.amplitude (dir => real amplitude) overrides the named variant, e.g. for hybrids.
+export function evaluateConfigPhasor(cfg, dir, target = { magnitude: 0, angle: 0 }) {
+  if (!cfg.amplitude) return evaluateOrbitalPhasor(cfg.family, cfg.variant, dir, target);
+  const amp = cfg.amplitude(dir);
+  target.magnitude = Math.abs(amp);
+  target.angle = amp < 0 ? Math.PI : 0;
+  return target;
+}
+
+// psi at (x, y, z) in Bohr radii as magnitude + phase angle; a negative radial part adds pi.
+// Works for real, complex and cfg.amplitude orbitals; cfg needs principalN.
+export function evaluateOrbitalPsi(cfg, x, y, z, target = { magnitude: 0, angle: 0 }) {
+  const l = FAMILY_L[cfg.family] ?? 0;
+  const r = Math.sqrt(x * x + y * y + z * z);
+  const radial = evaluateRadialWavefunction(cfg.principalN, l, r, cfg.zEff ?? 1);
+  if (r === 0) {
+    target.magnitude = cfg.family === 's' ? Math.abs(radial) : 0;
+    target.angle = radial < 0 ? Math.PI : 0;
+    return target;
+  }
+  evaluateConfigPhasor(cfg, { x: x / r, y: y / r, z: z / r }, target);
+  target.magnitude *= Math.abs(radial);
+  if (radial < 0) target.angle = (target.angle + Math.PI) % TWO_PI;
+  return target;
+}
+
+function hueToRgb(p, q, t) {
+  if (t < 0) t += 1;
+  if (t > 1) t -= 1;
+  if (t < 1 / 6) return p + (q - p) * 6 * t;
+  if (t < 1 / 2) return q;
+  if (t < 2 / 3) return p + (q - p) * 6 * (2 / 3 - t);
+  return p;
+}
+
+// Hue wheel used for complex phases as linear [r, g, b]; same values as phaseToColor in orbitals.js.
+export function phaseToRgb(angle, target = [0, 0, 0]) {
+  const h = ((angle / TWO_PI) % 1 + 1) % 1;
+  const s = 0.85;
+  const l = 0.6;
+  const q = l <= 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  target[0] = hueToRgb(p, q, h + 1 / 3);
+  target[1] = hueToRgb(p, q, h);
+  target[2] = hueToRgb(p, q, h - 1 / 3);
+  return target;
+}
@@ -0,0 +1,358 @@
+// orbital_mesh_data.js - Orbital mesh buffers (positions, normals, amp/phase attributes, edges)
+// as plain typed arrays, so they can be built in mesh_worker.js and handed back as transferables.
+// orbitals.js wraps the result in a BufferGeometry. Layouts match what three produced before:
+// lobes are an indexed SphereGeometry grid, isosurfaces a non-indexed marching cubes soup.
+// Pure math, no three.js, so it can be imported in Node and in workers as well as the browser.
+import { evaluateConfigPhasor, evaluateOrbitalPsi, parseComplexVariant, phaseToRgb } from './orbital_math.js';
+import { FAMILY_L, mostProbableRadius, radiusEnclosing } from './radial.js';
+import { TRI_TABLE } from './data/marching_cubes.js';
+
+export const EDGE_THRESHOLD_ANGLE = 12; // degrees between face normals, as EdgesGeometry takes it
+export const ATTRIBUTE_ITEM_SIZES = { position: 3, normal: 3, uv: 2, color: 3, amp: 1, phase: 1, phaseAngle: 1 };
+
+const ISO_GRID_FRACTION = 0.995; // sampling box half-size encloses this much radial probability
+const ISO_MAX_POLYS = 200000;
+const EDGE_PRECISION = 1e4; // vertices closer than this merge when looking for shared edges
+
+const CUBE_CORNERS = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+const CUBE_EDGES = [[0, 1], [1, 2], [2, 3], [3, 0], [4, 5], [5, 6], [6, 7], [7, 4], [0, 4], [1, 5], [2, 6], [3, 7]];
+
+// Per-face normals accumulated onto shared vertices, like BufferGeometry.computeVertexNormals.
+function computeVertexNormals(position, index) {
+  const normals = new Float32Array(position.length);
+  const count = index ? index.length : position.length / 3;
+  for (let i = 0; i < count; i += 3) {
+    const a = index ? index[i] : i;
+    const b = index ? index[i + 1] : i + 1;
+    const c = index ? index[i + 2] : i + 2;
+    const bx = position[3 * b];
+    const by = position[3 * b + 1];
+    const bz = position[3 * b + 2];
+    const cbx = position[3 * c] - bx;
+    const cby = position[3 * c + 1] - by;
+    const cbz = position[3 * c + 2] - bz;
+    const abx = position[3 * a] - bx;
+    const aby = position[3 * a + 1] - by;
+    const abz = position[3 * a + 2] - bz;
+    const nx = cby * abz - cbz * aby;
+    const ny = cbz * abx - cbx * abz;
+    const nz = cbx * aby - cby * abx;
+    [a, b, c].forEach((v) => {
+      normals[3 * v] += nx;
+      normals[3 * v + 1] += ny;
+      normals[3 * v + 2] += nz;
+    });
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    const len = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+    normals[i] /= len;
+    normals[i + 1] /= len;
+    normals[i + 2] /= len;
+  }
+  return normals;
+}
+
+// Line segment endpoints for edges whose faces meet at more than thresholdAngle degrees, plus
+// open boundaries; the same rule as three's EdgesGeometry.
+export function computeEdgePositions(position, index = null, thresholdAngle = EDGE_THRESHOLD_ANGLE) {
+  const thresholdDot = Math.cos((thresholdAngle * Math.PI) / 180);
+  const count = index ? index.length : position.length / 3;
+  const vertexHashes = new Array(position.length / 3);
+  const hash = (v) => {
+    if (vertexHashes[v] === undefined) {
+      vertexHashes[v] = `${Math.round(position[3 * v] * EDGE_PRECISION)},${Math.round(position[3 * v + 1] * EDGE_PRECISION)},${Math.round(position[3 * v + 2] * EDGE_PRECISION)}`;
+    }
+    return vertexHashes[v];
+  };
+  const edges = new Map(); // "hashA_hashB" -> { index0, index1, nx, ny, nz } or null once paired
+  const out = [];
+  const push = (v) => out.push(position[3 * v], position[3 * v + 1], position[3 * v + 2]);
+  const ids = [0, 0, 0];
+  const hashes = ['', '', ''];
+  for (let i = 0; i < count; i += 3) {
+    for (let k = 0; k < 3; k += 1) {
+      ids[k] = index ? index[i + k] : i + k;
+      hashes[k] = hash(ids[k]);
+    }
+    if (hashes[0] === hashes[1] || hashes[1] === hashes[2] || hashes[2] === hashes[0]) continue;
+    const [a, b, c] = ids;
+    const cbx = position[3 * c] - position[3 * b];
+    const cby = position[3 * c + 1] - position[3 * b + 1];
+    const cbz = position[3 * c + 2] - position[3 * b + 2];
+    const abx = position[3 * a] - position[3 * b];
+    const aby = position[3 * a + 1] - position[3 * b + 1];
+    const abz = position[3 * a + 2] - position[3 * b + 2];
+    let nx = cby * abz - cbz * aby;
+    let ny = cbz * abx - cbx * abz;
+    let nz = cbx * aby - cby * abx;
+    const len = Math.hypot(nx, ny, nz) || 1;
+    nx /= len;
+    ny /= len;
+    nz /= len;
+    for (let j = 0; j < 3; j += 1) {
+      const next = (j + 1) % 3;
+      const reverse = `${hashes[next]}_${hashes[j]}`;
+      const twin = edges.get(reverse);
+      if (twin) {
+        if (nx * twin.nx + ny * twin.ny + nz * twin.nz <= thresholdDot) {
+          push(ids[j]);
+          push(ids[next]);
+        }
+        edges.set(reverse, null);
+      } else {
+        const forward = `${hashes[j]}_${hashes[next]}`;
+        if (!edges.has(forward)) edges.set(forward, { index0: ids[j], index1: ids[next], nx, ny, nz });
+      }
+    }
+  }
+  edges.forEach((edge) => {
+    if (!edge) return;
+    push(edge.index0);
+    push(edge.index1);
+  });
+  return new Float32Array(out);
+}
+
+// Unit sphere grid deformed by the angular amplitude: r = baseRadius * (blend + radialScale * |A|^power).
+// Vertex layout and triangle order follow THREE.SphereGeometry(baseRadius, widthSegments, heightSegments).
+export function computeLobeMeshData(cfg, {
+  widthSegments = 128,
+  heightSegments = 96,
+  colorPos = [1, 1, 1],
+  colorNeg = [0.5, 0.5, 0.5],
+  edges = false,
+} = {}) {
+  const { family, variant, baseRadius = 1, radialScale = 1.2, power = 1.6 } = cfg;
+  const count = (widthSegments + 1) * (heightSegments + 1);
+  const position = new Float32Array(count * 3);
+  const uv = new Float32Array(count * 2);
+  const color = new Float32Array(count * 3);
+  const amp = new Float32Array(count);
+  const phase = new Float32Array(count);
+  const phaseAngle = new Float32Array(count);
+  const complex = parseComplexVariant(variant) !== null;
+  const phasor = { magnitude: 0, angle: 0 };
+  const dir = { x: 0, y: 0, z: 0 };
+  const rgb = [0, 0, 0];
+
+  let i = 0;
+  for (let iy = 0; iy <= heightSegments; iy += 1) {
+    const v = iy / heightSegments;
+    const theta = v * Math.PI;
+    // Pole rows shift their uvs half a segment, as SphereGeometry does.
+    const uOffset = iy === 0 ? 0.5 / widthSegments : iy === heightSegments ? -0.5 / widthSegments : 0;
+    for (let ix = 0; ix <= widthSegments; ix += 1, i += 1) {
+      const u = ix / widthSegments;
+      const phi = u * 2 * Math.PI;
+      dir.x = -Math.cos(phi) * Math.sin(theta);
+      dir.y = Math.cos(theta);
+      dir.z = Math.sin(phi) * Math.sin(theta);
+      const len = Math.hypot(dir.x, dir.y, dir.z) || 1;
+      dir.x /= len;
+      dir.y /= len;
+      dir.z /= len;
+      evaluateConfigPhasor(cfg, dir, phasor);
+      const sign = complex || phasor.angle === 0 ? 1.0 : -1.0;
+      const ampMag = Math.pow(phasor.magnitude, power);
+
+      // Pull waist in near angular nodes for p/d/f so lobes separate visually.
+      const nodeFloor = family === 's' ? 1.0 : 0.22; // fraction of baseRadius at node
+      const baseBlend = family === 's' ? 1.0 : nodeFloor + (1.0 - nodeFloor) * Math.pow(phasor.magnitude, 0.35);
+      const r = baseRadius * (baseBlend + radialScale * ampMag);
+      position[3 * i] = dir.x * r;
+      position[3 * i + 1] = dir.y * r;
+      position[3 * i + 2] = dir.z * r;
+      uv[2 * i] = u + uOffset;
+      uv[2 * i + 1] = 1 - v;
+
+      // vertex color by sign (or hue for complex phases)
+      const c = complex ? phaseToRgb(phasor.angle, rgb) : sign > 0 ? colorPos : colorNeg;
+      color[3 * i] = c[0];
+      color[3 * i + 1] = c[1];
+      color[3 * i + 2] = c[2];
+      amp[i] = ampMag;
+      phase[i] = sign;
+      phaseAngle[i] = phasor.angle;
+    }
+  }
+
+  const indices = [];
+  const row = widthSegments + 1;
+  for (let iy = 0; iy < heightSegments; iy += 1) {
+    for (let ix = 0; ix < widthSegments; ix += 1) {
+      const a = iy * row + ix + 1;
+      const b = iy * row + ix;
+      const c = (iy + 1) * row + ix;
+      const d = (iy + 1) * row + ix + 1;
+      if (iy !== 0) indices.push(a, b, d);
+      if (iy !== heightSegments - 1) indices.push(b, c, d);
+    }
+  }
+  const index = count > 65535 ? Uint32Array.from(indices) : Uint16Array.from(indices);
+  const normal = computeVertexNormals(position, index);
+  return {
+    attributes: { position, normal, uv, color, amp, phase, phaseAngle },
+    index,
+    edges: edges ? computeEdgePositions(position, index) : null,
+  };
+}
+
+// Density value whose superlevel set holds `fraction` of the sampled probability.
+function findIsovalueForFraction(field, fraction) {
+  const sorted = Float32Array.from(field).sort().reverse();
+  let total = 0;
+  for (let i = 0; i < sorted.length; i++) total += sorted[i];
+  let acc = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    acc += sorted[i];
+    if (acc >= fraction * total) return sorted[i];
+  }
+  return sorted[sorted.length - 1];
+}
+
+// Triangle soup for the surface field = isolation on a size^3 grid, in grid units mapped to
+// [-1, 1]. Normals follow the negative field gradient, i.e. point out of the enclosed region.
+function polygonizeField(field, size, isolation, maxTriangles) {
+  const size2 = size * size;
+  const half = (size - 1) / 2;
+  const at = (x, y, z) => field[x + size * y + size2 * z];
+  const cubeIndex = (x, y, z) => {
+    let bits = 0;
+    for (let k = 0; k < 8; k += 1) {
+      const [dx, dy, dz] = CUBE_CORNERS[k];
+      if (at(x + dx, y + dy, z + dz) < isolation) bits |= 1 << k;
+    }
+    return bits;
+  };
+
+  let triangles = 0;
+  for (let z = 0; z < size - 1; z += 1) {
+    for (let y = 0; y < size - 1; y += 1) {
+      for (let x = 0; x < size - 1; x += 1) {
+        const bits = cubeIndex(x, y, z);
+        for (let t = 0; TRI_TABLE[16 * bits + t] !== -1; t += 3) triangles += 1;
+      }
+    }
+  }
+  triangles = Math.min(triangles, maxTriangles);
+
+  const positions = new Float32Array(triangles * 9);
+  const normals = new Float32Array(triangles * 9);
+  const gradient = (x, y, z, axis) => {
+    const lo = [x, y, z];
+    const hi = [x, y, z];
+    lo[axis] = Math.max(0, lo[axis] - 1);
+    hi[axis] = Math.min(size - 1, hi[axis] + 1);
+    return at(lo[0], lo[1], lo[2]) - at(hi[0], hi[1], hi[2]);
+  };
+  let written = 0;
+  for (let z = 0; z < size - 1 && written < triangles; z += 1) {
+    for (let y = 0; y < size - 1 && written < triangles; y += 1) {
+      for (let x = 0; x < size - 1 && written < triangles; x += 1) {
+        const bits = cubeIndex(x, y, z);
+        for (let t = 0; TRI_TABLE[16 * bits + t] !== -1 && written < triangles; t += 3, written += 1) {
+          for (let k = 0; k < 3; k += 1) {
+            const [ca, cb] = CUBE_EDGES[TRI_TABLE[16 * bits + t + k]];
+            const a = CUBE_CORNERS[ca];
+            const b = CUBE_CORNERS[cb];
+            const va = at(x + a[0], y + a[1], z + a[2]);
+            const vb = at(x + b[0], y + b[1], z + b[2]);
+            const mu = vb === va ? 0.5 : (isolation - va) / (vb - va);
+            const o = 9 * written + 3 * k;
+            let len = 0;
+            for (let axis = 0; axis < 3; axis += 1) {
+              const ga = gradient(x + a[0], y + a[1], z + a[2], axis);
+              const gb = gradient(x + b[0], y + b[1], z + b[2], axis);
+              const grid = [x, y, z][axis] + a[axis] + mu * (b[axis] - a[axis]);
+              positions[o + axis] = (grid - half) / half;
+              normals[o + axis] = ga + mu * (gb - ga);
+              len += normals[o + axis] * normals[o + axis];
+            }
+            len = Math.sqrt(len) || 1;
+            for (let axis = 0; axis < 3; axis += 1) normals[o + axis] /= len;
+          }
+        }
+      }
+    }
+  }
+  return { positions, normals };
+}
+
+// Samples |psi|^2 = (R_nl * angular)^2 on a cube around the nucleus and extracts the surface
+// enclosing `fraction` of the probability. Scene scale matches computeRadialNodeRadii in
+// orbitals.js: the most probable radius maps to baseRadius.
+export function computeIsosurfaceMeshData(cfg, {
+  fraction = 0.9,
+  resolution = 56,
+  colorPos = [1, 1, 1],
+  colorNeg = [0.5, 0.5, 0.5],
+  edges = false,
+} = {}) {
+  const n = cfg.principalN;
+  const l = FAMILY_L[cfg.family] ?? 0;
+  if (!n || l >= n) throw new Error(`Cannot build an isosurface for n=${n}, family=${cfg.family}`);
+  const Z = cfg.zEff ?? 1;
+  const extent = radiusEnclosing(n, l, ISO_GRID_FRACTION, Z);
+  const sceneScale = (cfg.baseRadius ?? 1) / mostProbableRadius(n, l, Z);
+
+  const size = resolution;
+  const half = (size - 1) / 2;
+  const field = new Float32Array(size * size * size);
+  const phasor = { magnitude: 0, angle: 0 };
+  for (let z = 0, i = 0; z < size; z++) {
+    const pz = ((z - half) / half) * extent;
+    for (let y = 0; y < size; y++) {
+      const py = ((y - half) / half) * extent;
+      for (let x = 0; x < size; x++, i++) {
+        const { magnitude } = evaluateOrbitalPsi(cfg, ((x - half) / half) * extent, py, pz, phasor);
+        field[i] = magnitude * magnitude;
+      }
+    }
+  }
+  const { positions, normals } = polygonizeField(field, size, findIsovalueForFraction(field, fraction), ISO_MAX_POLYS);
+
+  const count = positions.length / 3;
+  const complex = parseComplexVariant(cfg.variant) !== null;
+  const color = new Float32Array(count * 3);
+  const amp = new Float32Array(count).fill(1);
+  const phase = new Float32Array(count);
+  const phaseAngle = new Float32Array(count);
+  const rgb = [0, 0, 0];
+  for (let i = 0; i < count; i++) {
+    const bx = positions[3 * i] * extent;
+    const by = positions[3 * i + 1] * extent;
+    const bz = positions[3 * i + 2] * extent;
+    positions[3 * i] = bx * sceneScale;
+    positions[3 * i + 1] = by * sceneScale;
+    positions[3 * i + 2] = bz * sceneScale;
+    const { angle } = evaluateOrbitalPsi(cfg, bx, by, bz, phasor);
+    const sign = complex || angle === 0 ? 1.0 : -1.0;
+    const c = complex ? phaseToRgb(angle, rgb) : sign > 0 ? colorPos : colorNeg;
+    color[3 * i] = c[0];
+    color[3 * i + 1] = c[1];
+    color[3 * i + 2] = c[2];
+    phase[i] = sign;
+    phaseAngle[i] = angle;
+  }
+  return {
+    attributes: { position: positions, normal: normals, color, amp, phase, phaseAngle },
+    index: null,
+    edges: edges ? computeEdgePositions(positions) : null,
+  };
+}
+
+// kind: 'lobe' | 'isosurface'. cfg must be structured-cloneable (no amplitude functions)
+// when this runs in a worker.
+export function computeMeshData(kind, cfg, options = {}) {
+  if (kind === 'lobe') return computeLobeMeshData(cfg, options);
+  if (kind === 'isosurface') return computeIsosurfaceMeshData(cfg, options);
+  throw new Error(`Unknown orbital mesh kind: ${kind}`);
+}
+
+// Buffers to list in postMessage's transfer argument.
+export function listTransferables(data) {
+  const buffers = new Set(Object.values(data.attributes).map((array) => array.buffer));
+  if (data.index) buffers.add(data.index.buffer);
+  if (data.edges) buffers.add(data.edges.buffer);
+  return Array.from(buffers);
+}
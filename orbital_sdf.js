@@ -1,2 +1,98 @@
-// orbital_sdf utilities removed: raymarch/bake functionality replaced by mesh-based rendering.
-// This file intentionally contains no exports now to avoid baking logic being used.
+// orbital_sdf.js - GLSL twins of the orbital evaluators in orbitals.js/radial.js
+// Shaders (raymarch_overlay.js) sample psi per fragment instead of from baked meshes.
+// Each orbital is packed into two vec4 uniforms by encodeOrbitalForShader:
+//   a = (n, l, variant index in FAMILY_VARIANTS, weight)
+//   b = (R_nl normalization x angular normalization, Z_eff, scene units per Bohr radius,
+//        1 for complex variants)
+// Complex variants reuse their cos-form partner evaluated at phi = 0, since |Y_l^ml|
+// only depends on theta. With both normalizations in b.x, psi^2 is a density per Bohr^3.
+import * as THREE from 'three';
+import { FAMILY_VARIANTS, getVariantMl } from './electron_config.js';
+import { parseComplexVariant } from './orbitals.js';
+import { angularNormalization } from './probability.js';
+import { FAMILY_L, radialNormalization, mostProbableRadius, radiusEnclosing } from './radial.js';
+
+// Same polar-axis-Y real harmonics as evaluateOrbitalAmplitude, scaled to peak 1 like it (so
+// angularNormalization applies), written in x/y/z of a unit direction so the shader needs no trig. Covers s-f, the families atoms occupy.
+export const ORBITAL_PSI_GLSL = /* glsl */`
+  float orbitalLaguerre(int k, float alpha, float x) {
+    if (k == 0) return 1.0;
+    float prev = 1.0;
+    float cur = 1.0 + alpha - x;
+    for (int i = 1; i < 8; i++) {
+      if (i >= k) break;
+      float fi = float(i);
+      float next = ((2.0 * fi + 1.0 + alpha - x) * cur - (fi + alpha) * prev) / (fi + 1.0);
+      prev = cur;
+      cur = next;
+    }
+    return cur;
+  }
+
+  float orbitalRadial(vec4 a, vec4 b, float r) {
+    int n = int(a.x + 0.5);
+    int l = int(a.y + 0.5);
+    float rho = 2.0 * b.y * r / a.x;
+    float rhoL = l == 0 ? 1.0 : pow(rho, a.y);
+    return b.x * exp(-0.5 * rho) * rhoL * orbitalLaguerre(n - l - 1, 2.0 * a.y + 1.0, rho);
+  }
+
+  float orbitalAngular(int l, int v, vec3 d) {
+    float x = d.x;
+    float y = d.y;
+    float z = d.z;
+    if (l == 1) {
+      if (v == 0) return x;
+      if (v == 1) return z;
+      return y;
+    }
+    if (l == 2) {
+      if (v == 0) return 0.5 * (3.0 * y * y - 1.0);
+      if (v == 1) return 2.0 * x * y;
+      if (v == 2) return 2.0 * z * y;
+      if (v == 3) return 2.0 * x * z;
+      return x * x - z * z;
+    }
+    if (l == 3) {
+      if (v == 1) return 0.726192 * x * (5.0 * y * y - 1.0);
+      if (v == 2) return 0.726192 * z * (5.0 * y * y - 1.0);
+      if (v == 3) return 2.598076 * y * (x * x - z * z);
+      if (v == 4) return 5.196152 * x * y * z;
+      if (v == 5) return x * x * x - 3.0 * x * z * z;
+      if (v == 6) return 3.0 * x * x * z - z * z * z;
+      return 0.5 * y * (5.0 * y * y - 3.0);
+    }
+    return 1.0;
+  }
+
+  // psi at a scene-space point; positions are divided by b.z to get Bohr radii.
+  float orbitalPsi(vec4 a, vec4 b, vec3 p) {
+    float r = length(p) / b.z;
+    if (r < 1e-6) return a.y < 0.5 ? orbitalRadial(a, b, 0.0) : 0.0;
+    vec3 d = normalize(p);
+    if (b.w > 0.5) d = vec3(length(d.xz), d.y, 0.0);
+    return orbitalRadial(a, b, r) * orbitalAngular(int(a.y + 0.5), int(a.z + 0.5), d);
+  }
+`;
+
+// cfg is an orbitalConfig from createOrbital/createOrbitalPointCloud (needs principalN).
+// weight multiplies |psi|^2, e.g. the orbital's electron count.
+export function encodeOrbitalForShader(cfg, weight = 1) {
+  const n = cfg.principalN;
+  const l = FAMILY_L[cfg.family];
+  const Z = cfg.zEff ?? 1;
+  const ml = parseComplexVariant(cfg.variant);
+  const variants = FAMILY_VARIANTS[cfg.family] ?? [];
+  const variant = ml === null
+    ? Math.max(0, variants.indexOf(cfg.variant))
+    : Math.max(0, variants.findIndex((name) => getVariantMl(name) === Math.abs(ml)));
+  // Same mapping as the isosurface mode: most probable radius lands on baseRadius.
+  const scale = cfg.baseRadius / mostProbableRadius(n, l, Z);
+  return {
+    a: new THREE.Vector4(n, l, variant, weight),
+    // orbitalAngular is the peak-scaled display shape; angularNormalization makes it unit-norm.
+    b: new THREE.Vector4(radialNormalization(n, l, Z) * angularNormalization(cfg), Z, scale, ml === null ? 0 : 1),
+    scale,
+    extent: radiusEnclosing(n, l, 0.995, Z) * scale,
+  };
+}
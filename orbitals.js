@@ -1,10 +1,36 @@
 // orbitals.js - procedural SPDF orbital visualization using real spherical harmonic-like forms
 // Uses three.js via import map
 import * as THREE from 'three';
+import { FAMILY_L, findRadialNodes, evaluateRadialWavefunction, mostProbableRadius } from './radial.js';
+import { HARMONIC_LETTERS, harmonicNodes, parseHarmonicVariant } from './spherical_harmonics.js';
+import { getVariantMl } from './electron_config.js';
+import {
+  evaluateOrbitalAmplitude,
+  evaluateOrbitalPhasor,
+  evaluateConfigPhasor,
+  evaluateOrbitalPsi,
+  parseComplexVariant,
+} from './orbital_math.js';
+import { ATTRIBUTE_ITEM_SIZES, EDGE_THRESHOLD_ANGLE, computeIsosurfaceMeshData, computeLobeMeshData } from './orbital_mesh_data.js';
+import { acquireGeometry, acquireMaterial, hasCachedGeometry, releaseGeometry } from './geometry_cache.js';
+
+// The angular math lives in orbital_math.js so workers and Node can use it without three.
+export { evaluateOrbitalAmplitude, evaluateOrbitalPhasor, evaluateOrbitalPsi, parseComplexVariant };
 
 const DEFAULT_NODE_COLOR = 0xffffff;
 const DEFAULT_NODE_OPACITY = 0.22;
 const NODE_SIZE_MULTIPLIER = 2.2; // enlarge node helpers so separation is easier on the eyes
+const DEFAULT_ISO_FRACTION = 0.9;
+const DEFAULT_ISO_RESOLUTION = 56;
+const ISO_PLACEHOLDER_RESOLUTION = 20; // coarse isosurface shown while a worker builds the real one
+const TWO_PI = Math.PI * 2;
+// Lobe tessellation by camera distance over the mesh's scale (its base radius); each level
+// halves the segment counts of the previous one.
+const LOD_LEVELS = [
+  { divisor: 1, maxDistance: 8 },
+  { divisor: 2, maxDistance: 20 },
+  { divisor: 4, maxDistance: Infinity },
+];
 
 function createNodeMaterial({ color = DEFAULT_NODE_COLOR, opacity = DEFAULT_NODE_OPACITY } = {}) {
   return new THREE.MeshBasicMaterial({
@@ -27,15 +53,16 @@ function createPlaneNode(normal, size, material) {
   return plane;
 }
 
+// Double cone about the polar (Y) axis with its apex on the nucleus and half-angle acos(cosTheta).
 function createDoubleConeNode(cosTheta, size, material) {
   const theta = Math.acos(THREE.MathUtils.clamp(cosTheta, -1, 1));
-  const height = size * 2.4;
-  const radius = Math.tan(theta) * (height / 2);
+  const height = size * Math.max(0.2, cosTheta) * 0.6;
+  const radius = Math.tan(theta) * height;
   const geo = new THREE.ConeGeometry(radius, height, 56, 1, true);
   const coneA = new THREE.Mesh(geo, material);
   const coneB = new THREE.Mesh(geo, material);
-  coneA.position.y = -height * 0.25;
-  coneB.position.y = height * 0.25;
+  coneA.position.y = -height / 2;
+  coneB.position.y = height / 2;
   coneA.renderOrder = 3;
   coneB.renderOrder = 3;
   coneB.rotation.x = Math.PI;
@@ -49,7 +76,38 @@ function createDoubleConeNode(cosTheta, size, material) {
   return group;
 }
 
-function buildNodalGroup(cfg, size) {
+function createSphereNode(radius, material) {
+  const sphere = new THREE.Mesh(new THREE.SphereGeometry(radius, 48, 24), material);
+  sphere.renderOrder = 3;
+  sphere.userData.isNodeHelper = true;
+  sphere.userData.isRadialNode = true;
+  sphere.raycast = () => {};
+  return sphere;
+}
+
+// Radial nodes of R_nl mapped into scene units: the most probable radius of the
+// outer lobe lands on baseRadius, inner nodes keep their hydrogenic proportions.
+export function computeRadialNodeRadii(cfg) {
+  const n = cfg.principalN;
+  const l = FAMILY_L[cfg.family];
+  if (!n || l === undefined || l >= n) return [];
+  const Z = cfg.zEff ?? 1;
+  const outer = mostProbableRadius(n, l, Z);
+  return findRadialNodes(n, l, Z).map((r) => (cfg.baseRadius * r) / outer);
+}
+
+// psi = R_nl(|p|) * angular amplitude for real variants; Z defaults to hydrogen.
+// Complex variants need evaluateOrbitalPhasor.
+export function evaluateOrbitalWavefunction({ principalN, family, variant, zEff = 1 }, position) {
+  const r = position.length();
+  const l = FAMILY_L[family] ?? 0;
+  const radial = evaluateRadialWavefunction(principalN, l, r, zEff);
+  if (r === 0) return family === 's' ? radial : 0;
+  const dir = position.clone().divideScalar(r);
+  return radial * evaluateOrbitalAmplitude(family, variant, dir);
+}
+
+export function buildNodalGroup(cfg, size) {
   const material = createNodeMaterial();
   const group = new THREE.Group();
   group.visible = false;
@@ -63,119 +121,33 @@ function buildNodalGroup(cfg, size) {
     cosValues.forEach((c) => group.add(createDoubleConeNode(c, size, material)));
   };
 
-  switch (cfg.family) {
-    case 's':
-      // No angular nodes.
-      break;
-    case 'p':
-      if (cfg.variant === 'px') addPlanes([new THREE.Vector3(1, 0, 0)]);
-      else if (cfg.variant === 'py') addPlanes([new THREE.Vector3(0, 1, 0)]);
-      else addPlanes([new THREE.Vector3(0, 0, 1)]); // pz
-      break;
-    case 'd':
-      if (cfg.variant === 'dz2') {
-        // Two conical nodes for d_z^2 at cos(theta)=±1/sqrt(3)
-        addCones([1 / Math.sqrt(3)]);
-      } else if (cfg.variant === 'dxz') {
-        addPlanes([new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 0, 1)]);
-      } else if (cfg.variant === 'dyz') {
-        addPlanes([new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)]);
-      } else if (cfg.variant === 'dxy') {
-        addPlanes([new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0)]);
-      } else {
-        // dx2y2: nodal planes along x=±y
-        addPlanes([
-          new THREE.Vector3(1, 1, 0).normalize(),
-          new THREE.Vector3(1, -1, 0).normalize(),
-        ]);
-      }
-      break;
-    case 'f':
-      if (cfg.variant === 'fz3') {
-        addPlanes([new THREE.Vector3(0, 1, 0)]);
-        addCones([Math.sqrt(3 / 5)]);
-      } else if (cfg.variant === 'fxz2') {
-        addPlanes([new THREE.Vector3(1, 0, 0)]);
-        addCones([1 / Math.sqrt(5)]);
-      } else if (cfg.variant === 'fyz2') {
-        addPlanes([new THREE.Vector3(0, 1, 0)]);
-        addCones([1 / Math.sqrt(5)]);
-      } else if (cfg.variant === 'fzx2y2') {
-        addPlanes([
-          new THREE.Vector3(0, 0, 1),
-          new THREE.Vector3(1, 1, 0).normalize(),
-          new THREE.Vector3(1, -1, 0).normalize(),
-        ]);
-      } else if (cfg.variant === 'fxyz') {
-        addPlanes([
-          new THREE.Vector3(1, 0, 0),
-          new THREE.Vector3(0, 1, 0),
-          new THREE.Vector3(0, 0, 1),
-        ]);
-      } else if (cfg.variant === 'fcos3') {
-        // Three vertical planes 60 deg apart
-        addPlanes([
-          new THREE.Vector3(0, 0, 1),
-          new THREE.Vector3(Math.sin(Math.PI / 3), 0, Math.cos(Math.PI / 3)),
-          new THREE.Vector3(Math.sin((2 * Math.PI) / 3), 0, Math.cos((2 * Math.PI) / 3)),
-        ]);
-      } else if (cfg.variant === 'fsin3') {
-        addPlanes([
-          new THREE.Vector3(1, 0, 0),
-          new THREE.Vector3(Math.sin(Math.PI / 3), 0, Math.cos(Math.PI / 3)),
-          new THREE.Vector3(Math.sin((2 * Math.PI) / 3), 0, Math.cos((2 * Math.PI) / 3)),
-        ]);
-      } else {
-        addPlanes([new THREE.Vector3(0, 1, 0)]);
-      }
-      break;
-    default:
-      break;
+  computeRadialNodeRadii(cfg).forEach((radius) => group.add(createSphereNode(radius, material)));
+  if (cfg.amplitude) return group.children.length ? group : null; // custom angular shapes carry no named nodes
+
+  // Cones from the zeros of P_l^|m|(cos theta); vertical planes from cos/sin(m phi) = 0,
+  // which |Y_l^ml| of the complex basis does not have.
+  const l = HARMONIC_LETTERS.indexOf(cfg.family);
+  if (l <= 0) return group.children.length ? group : null;
+  const complex = parseComplexVariant(cfg.variant) !== null;
+  const m = parseHarmonicVariant(cfg.variant)?.m ?? getVariantMl(cfg.variant);
+  const nodes = harmonicNodes(l, m);
+  if (nodes.equatorial) addPlanes([new THREE.Vector3(0, 1, 0)]);
+  addCones(nodes.coneCosines);
+  if (!complex) {
+    addPlanes(nodes.planeAngles.map((phi) => new THREE.Vector3(-Math.sin(phi), 0, Math.cos(phi))));
   }
 
   if (!group.children.length) return null;
   return group;
 }
 
-export function evaluateOrbitalAmplitude(family, variant, dir) {
-  const x = dir.x;
-  const y = dir.y;
-  const z = dir.z;
-  const r = 1.0;
-  const cosT = y / r;
-  const sinT = Math.sqrt(Math.max(0, 1 - cosT * cosT));
-  const phi = Math.atan2(z, x);
-
-  switch (family) {
-    case 's':
-      return 1.0;
-    case 'p':
-      if (variant === 'px') return sinT * Math.cos(phi);
-      if (variant === 'py') return sinT * Math.sin(phi);
-      return cosT;
-    case 'd':
-      if (variant === 'dz2') return 0.5 * (3 * cosT * cosT - 1);
-      if (variant === 'dxz') return sinT * cosT * Math.cos(phi);
-      if (variant === 'dyz') return sinT * cosT * Math.sin(phi);
-      if (variant === 'dxy') return sinT * sinT * Math.sin(2 * phi);
-      return sinT * sinT * Math.cos(2 * phi);
-    case 'f':
-      // Real cubic harmonics (up to normalization constants) with polar axis = Y
-      if (variant === 'fz3') return 0.5 * cosT * (5.0 * cosT * cosT - 3.0);                // z(5z^2-3r^2)
-      if (variant === 'fxz2') return 0.5 * sinT * Math.cos(phi) * (5.0 * cosT * cosT - 1.0); // x(5z^2-r^2)
-      if (variant === 'fyz2') return 0.5 * sinT * Math.sin(phi) * (5.0 * cosT * cosT - 1.0); // y(5z^2-r^2)
-      if (variant === 'fzx2y2') return sinT * sinT * cosT * Math.cos(2.0 * phi);              // z(x^2-y^2)
-      if (variant === 'fxyz') return sinT * sinT * cosT * Math.sin(2.0 * phi);                // xyz
-      if (variant === 'fcos3') return Math.pow(sinT, 3.0) * Math.cos(3.0 * phi);              // x(x^2-3y^2)
-      if (variant === 'fsin3') return Math.pow(sinT, 3.0) * Math.sin(3.0 * phi);              // y(3x^2-y^2)
-      return 0.5 * cosT * (5.0 * cosT * cosT - 3.0);
-    default:
-      return 1.0;
-  }
+// Hue wheel used for complex phases (matches the hsl2rgb in the orbital shader).
+export function phaseToColor(angle, target = new THREE.Color()) {
+  return target.setHSL(angle / TWO_PI, 0.85, 0.6);
 }
 
 export function evaluateOrbitalRadius(config, dir) {
-  const amp = Math.abs(evaluateOrbitalAmplitude(config.family, config.variant, dir));
+  const amp = evaluateConfigPhasor(config, dir).magnitude;
   const power = config.power ?? 1.0;
   const radialScale = config.radialScale ?? 0;
   return config.baseRadius * (1.0 + radialScale * Math.pow(amp, power));
@@ -190,11 +162,11 @@ export function evaluateOrbitalSDF(config, position, target = { distance: 0, pha
     return target;
   }
   const dir = position.clone().normalize();
-  const amp = evaluateOrbitalAmplitude(config.family, config.variant, dir);
-  const radius = config.baseRadius * (1.0 + (config.radialScale ?? 0) * Math.pow(Math.abs(amp), config.power ?? 1.0));
+  const { magnitude, angle } = evaluateConfigPhasor(config, dir);
+  const radius = config.baseRadius * (1.0 + (config.radialScale ?? 0) * Math.pow(magnitude, config.power ?? 1.0));
   target.distance = len - radius;
-  target.phase = Math.sign(amp) || 1;
-  target.amplitude = amp;
+  target.phase = angle === Math.PI ? -1 : 1;
+  target.amplitude = angle === Math.PI ? -magnitude : magnitude;
   return target;
 }
 
@@ -207,8 +179,10 @@ function buildShaderMaterial({
   opacity = 0.85,
   blending = THREE.NormalBlending,
   doubleSided = true,
+  huePhase = false, // color by the phaseAngle attribute on a hue wheel instead of +/- colors
 } = {}) {
   const uniforms = {
+    uHuePhase: { value: huePhase },
     uColorPos: { value: colorPos },
     uColorNeg: { value: colorNeg },
     uRimColor: { value: rimColor },
@@ -220,13 +194,16 @@ function buildShaderMaterial({
   const vertex = /* glsl */`
     attribute float amp; // [0,1]
     attribute float phase; // -1 or +1
+    attribute float phaseAngle; // [0, 2pi), complex orbitals only
     varying float vAmp;
     varying float vPhase;
+    varying vec2 vPhasor; // interpolated as a unit vector so the hue does not tear at 2pi
     varying vec3 vNormalW;
     varying vec3 vViewDir;
     void main(){
       vAmp = amp;
       vPhase = phase;
+      vPhasor = vec2(cos(phaseAngle), sin(phaseAngle));
       vec4 wPos = modelMatrix * vec4(position,1.0);
       vNormalW = normalize(mat3(modelMatrix) * normal);
       vViewDir = normalize(cameraPosition - wPos.xyz);
@@ -238,16 +215,26 @@ function buildShaderMaterial({
     precision highp float;
     varying float vAmp;
     varying float vPhase;
+    varying vec2 vPhasor;
     varying vec3 vNormalW;
     varying vec3 vViewDir;
+    uniform bool uHuePhase;
     uniform vec3 uColorPos;
     uniform vec3 uColorNeg;
     uniform vec3 uRimColor;
     uniform float uRimStrength;
     uniform float uRimPower;
     uniform float uOpacity;
+    vec3 hsl2rgb(float h, float s, float l){
+      vec3 rgb = clamp(abs(mod(h * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+      return l + s * (rgb - 0.5) * (1.0 - abs(2.0 * l - 1.0));
+    }
     void main(){
       vec3 base = mix(uColorNeg, uColorPos, step(0.0, vPhase));
+      if (uHuePhase) {
+        float hue = atan(vPhasor.y, vPhasor.x) / 6.2831853;
+        base = hsl2rgb(fract(hue), 0.85, 0.6);
+      }
       // amplify color with amplitude
       float a = clamp(vAmp, 0.0, 1.0);
       vec3 col = mix(base*0.6, base, a);
@@ -270,10 +257,158 @@ function buildShaderMaterial({
   return mat;
 }
 
-// Utility: add vertex colors and deform sphere by amplitude
+function colorKey(colorPos, colorNeg) {
+  return `${colorPos.getHexString()}:${colorNeg.getHexString()}`;
+}
+
+// Wraps orbital_mesh_data.js buffers in a BufferGeometry; precomputed edges are kept aside
+// for acquireEdgesGeometry.
+const precomputedEdges = new WeakMap();
+function createGeometryFromMeshData(data) {
+  const geo = new THREE.BufferGeometry();
+  Object.entries(data.attributes).forEach(([name, array]) => {
+    geo.setAttribute(name, new THREE.BufferAttribute(array, ATTRIBUTE_ITEM_SIZES[name]));
+  });
+  if (data.index) geo.setIndex(new THREE.BufferAttribute(data.index, 1));
+  if (data.edges) precomputedEdges.set(geo, data.edges);
+  geo.computeBoundingSphere();
+  return geo;
+}
+
+// Feature edges of an orbital geometry; cached geometries share one edge set, which the
+// selection outlines in script.js reuse as well.
+export function acquireEdgesGeometry(geometry) {
+  const build = () => {
+    const edges = precomputedEdges.get(geometry);
+    if (!edges) return new THREE.EdgesGeometry(geometry, EDGE_THRESHOLD_ANGLE);
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(edges, 3));
+    return geo;
+  };
+  const key = geometry.userData?.cacheKey;
+  return key ? acquireGeometry(`edges:${key}`, build) : build();
+}
+
+// Lobe and isosurface geometry is linear in baseRadius, so shapes are built at unit size,
+// shared through geometry_cache.js and scaled per shell by the mesh. Isosurfaces measured
+// in most probable radii don't depend on Z either. Custom amplitudes (hybrids) skip the cache.
+function describeLobeGeometry(cfg, widthSegments, heightSegments, colorPos, colorNeg, level) {
+  const { divisor } = LOD_LEVELS[level];
+  const w = Math.max(16, Math.round(widthSegments / divisor));
+  const h = Math.max(12, Math.round(heightSegments / divisor));
+  const { family, variant, power, radialScale } = cfg;
+  return {
+    key: `lobe:${family}:${variant}:${power}:${radialScale}:${w}x${h}:${colorKey(colorPos, colorNeg)}`,
+    kind: 'lobe',
+    cfg: { family, variant, power, radialScale, baseRadius: 1 },
+    options: { widthSegments: w, heightSegments: h, colorPos: colorPos.toArray(), colorNeg: colorNeg.toArray() },
+  };
+}
+
+function describeIsosurfaceGeometry(cfg, fraction, resolution, colorPos, colorNeg) {
+  const { family, variant, principalN } = cfg;
+  return {
+    key: `iso:${family}:${variant}:${principalN}:${fraction}:${resolution}:${colorKey(colorPos, colorNeg)}`,
+    kind: 'isosurface',
+    cfg: { family, variant, principalN, baseRadius: 1, zEff: 1 },
+    options: { fraction, resolution, colorPos: colorPos.toArray(), colorNeg: colorNeg.toArray() },
+  };
+}
+
+// Builds on the main thread. cfg.amplitude is honored here (and never sent to a worker).
+function acquireDescribedGeometry({ key, kind, cfg, options }, amplitude = null) {
+  const compute = kind === 'lobe' ? computeLobeMeshData : computeIsosurfaceMeshData;
+  if (amplitude) return createGeometryFromMeshData(compute({ ...cfg, amplitude }, options));
+  return acquireGeometry(key, () => createGeometryFromMeshData(compute(cfg, options)));
+}
+
+// Optional worker pool (mesh_worker_pool.js). Without one every shape is built synchronously,
+// which is also what Node gets. onError(error, mesh) hears about meshes left at placeholder detail.
+let meshWorkerPool = null;
+let meshErrorHandler = null;
+const pendingMeshData = new Map(); // cache key -> Promise of mesh data
+
+export function setOrbitalMeshWorkerPool(pool, { onError } = {}) {
+  meshWorkerPool = pool;
+  meshErrorHandler = onError ?? null;
+}
+
+function requestMeshData({ key, kind, cfg, options }) {
+  if (!pendingMeshData.has(key)) {
+    const request = meshWorkerPool.request(kind, cfg, { ...options, edges: true });
+    pendingMeshData.set(key, request);
+    request.finally(() => pendingMeshData.delete(key)).catch(() => {});
+  }
+  return pendingMeshData.get(key);
+}
+
+// Replaces a placeholder with the full geometry, including the edge lines extracted from it.
+function upgradeOrbitalGeometry(mesh, geometry) {
+  const previous = mesh.geometry;
+  mesh.userData.cachedGeometries.push(geometry);
+  const lod = mesh.userData.lod;
+  if (lod) {
+    lod.levels[0] = geometry;
+    lod.level = 0;
+    lod.pending = false;
+  }
+  mesh.geometry = geometry;
+  const previousEdges = `edges:${previous.userData.cacheKey}`;
+  mesh.children.forEach((child) => {
+    if (!child.isLineSegments || child.geometry.userData.cacheKey !== previousEdges) return;
+    releaseGeometry(child.geometry);
+    child.geometry = acquireEdgesGeometry(geometry);
+    if (child.material.isLineDashedMaterial && !child.geometry.getAttribute('lineDistance')) child.computeLineDistances();
+  });
+  delete mesh.userData.pendingGeometry;
+}
+
+// Materials are shared between meshes with identical parameters; callers that edit one
+// mesh's material must detachSharedMaterial(mesh) first.
+function acquireOrbitalMaterial({ useShader, colorPos, colorNeg, opacity, rimStrength, rimPower, blending, doubleSided, huePhase, metalness, roughness, transparent }) {
+  if (useShader) {
+    const key = `shader:${colorKey(colorPos, colorNeg)}:${opacity}:${rimStrength}:${rimPower}:${blending}:${doubleSided}:${huePhase}`;
+    return acquireMaterial(key, () => buildShaderMaterial({ colorPos, colorNeg, opacity, rimStrength, rimPower, blending, doubleSided, huePhase }));
+  }
+  const key = `standard:${metalness}:${roughness}:${transparent}:${opacity}`;
+  return acquireMaterial(key, () => new THREE.MeshStandardMaterial({ vertexColors: true, metalness, roughness, transparent, opacity }));
+}
+
+// Swaps lobe meshes under root to the tessellation level matching their distance from camera.
+// Levels are acquired on first use and released with the mesh (userData.cachedGeometries).
+const lodPosition = new THREE.Vector3();
+const lodScale = new THREE.Vector3();
+export function updateOrbitalLOD(root, camera) {
+  if (!root || !camera) return;
+  root.traverse((obj) => {
+    const lod = obj.userData?.lod;
+    if (!lod || lod.pending || !obj.visible) return;
+    lodPosition.setFromMatrixPosition(obj.matrixWorld);
+    lodScale.setFromMatrixScale(obj.matrixWorld);
+    const ratio = camera.position.distanceTo(lodPosition) / Math.max(lodScale.x, 1e-6);
+    const level = LOD_LEVELS.findIndex((entry) => ratio < entry.maxDistance);
+    if (level === lod.level) return;
+    if (!lod.levels[level]) {
+      lod.levels[level] = lod.acquire(level);
+      obj.userData.cachedGeometries.push(lod.levels[level]);
+    }
+    obj.geometry = lod.levels[level];
+    lod.level = level;
+  });
+}
+
+// Resolves once every mesh under root has its full geometry (immediately without a worker pool).
+export function whenOrbitalGeometryReady(root) {
+  const pending = [];
+  root?.traverse((obj) => {
+    if (obj.userData?.pendingGeometry) pending.push(obj.userData.pendingGeometry);
+  });
+  return Promise.all(pending).then(() => root);
+}
+
 function buildOrbitalMesh({
   family = 's', // 's'|'p'|'d'|'f'
-  variant = 's', // e.g., 'px','py','pz','dz2','dxz','dyz','dxy','dx2y2','fz3', etc.
+  variant = 's', // e.g., 'px','py','pz','dz2','dxz','dyz','dxy','dx2y2','fz3', etc., or complex 'p+1','d-2'
   baseRadius = 0.8,
   radialScale = 1.2, // stronger expansion for sharper lobes
   power = 1.6, // sharper shape
@@ -293,77 +428,92 @@ function buildOrbitalMesh({
   doubleSided = true,
   enableNodes = true,
   showNodes = false,
+  principalN = null,
+  zEff = 1,
+  renderMode = 'lobes', // 'lobes' (angular deformation) | 'isosurface' (needs principalN)
+  isoFraction = DEFAULT_ISO_FRACTION,
+  isoResolution = DEFAULT_ISO_RESOLUTION,
+  amplitude = null, // optional dir => real amplitude replacing the named variant's angular part
 } = {}) {
-  const geo = new THREE.SphereGeometry(baseRadius, widthSegments, heightSegments);
-
-  const pos = geo.getAttribute('position');
-  const colors = new Float32Array(pos.count * 3);
-  const amps = new Float32Array(pos.count);
-  const phases = new Float32Array(pos.count);
-  const n = new THREE.Vector3();
-  const cfg = { family, variant, baseRadius, radialScale, power };
-
-  const tmp = new THREE.Vector3();
-  const c = new THREE.Color();
-  for (let i = 0; i < pos.count; i++) {
-    tmp.fromBufferAttribute(pos, i);
-    const dir = n.copy(tmp).normalize();
-    let ampRaw = evaluateOrbitalAmplitude(family, variant, dir);
-    const sign = Math.sign(ampRaw) || 1.0;
-    const ampMag = Math.pow(Math.abs(ampRaw), power);
-
-    // Pull waist in near angular nodes for p/d/f so lobes separate visually.
-    const nodeFloor = family === 's' ? 1.0 : 0.22; // fraction of baseRadius at node
-    const baseBlend = family === 's' ? 1.0 : THREE.MathUtils.lerp(nodeFloor, 1.0, Math.pow(Math.abs(ampRaw), 0.35));
-    const r = baseRadius * (baseBlend + radialScale * ampMag);
-    tmp.copy(dir).multiplyScalar(r);
-    pos.setXYZ(i, tmp.x, tmp.y, tmp.z);
-
-    // vertex color by sign
-    c.copy(sign > 0 ? colorPos : colorNeg);
-    colors[3 * i + 0] = c.r;
-    colors[3 * i + 1] = c.g;
-    colors[3 * i + 2] = c.b;
-
-    amps[i] = ampMag;
-    phases[i] = sign;
-  }
-
-  geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-  geo.setAttribute('amp', new THREE.BufferAttribute(amps, 1));
-  geo.setAttribute('phase', new THREE.BufferAttribute(phases, 1));
-  geo.computeVertexNormals();
-  geo.computeBoundingSphere();
-
-  const mat = useShader
-    ? buildShaderMaterial({ colorPos, colorNeg, opacity, rimStrength, rimPower, blending, doubleSided })
-    : new THREE.MeshStandardMaterial({ vertexColors: true, metalness, roughness, transparent, opacity });
+  const cfg = { family, variant, baseRadius, radialScale, power, principalN, zEff, amplitude };
+  const isosurface = renderMode === 'isosurface' && !!principalN;
+  const full = isosurface
+    ? describeIsosurfaceGeometry(cfg, isoFraction, isoResolution, colorPos, colorNeg)
+    : describeLobeGeometry(cfg, widthSegments, heightSegments, colorPos, colorNeg, 0);
+  // With a worker pool, shapes not in the cache yet start as a coarse placeholder (the lowest
+  // LOD level, or a low-resolution isosurface) and are upgraded when the worker delivers.
+  const deferred = !!meshWorkerPool && !amplitude && !hasCachedGeometry(full.key);
+  const placeholder = !deferred ? null : isosurface
+    ? describeIsosurfaceGeometry(cfg, isoFraction, Math.min(isoResolution, ISO_PLACEHOLDER_RESOLUTION), colorPos, colorNeg)
+    : describeLobeGeometry(cfg, widthSegments, heightSegments, colorPos, colorNeg, LOD_LEVELS.length - 1);
+  const geo = acquireDescribedGeometry(placeholder ?? full, amplitude);
+
+  const ml = parseComplexVariant(variant);
+  const mat = acquireOrbitalMaterial({
+    useShader,
+    colorPos,
+    colorNeg,
+    opacity,
+    rimStrength,
+    rimPower,
+    blending,
+    doubleSided,
+    huePhase: ml !== null,
+    metalness,
+    roughness,
+    transparent,
+  });
 
   const mesh = new THREE.Mesh(geo, mat);
-  mesh.userData.orbital = { family, variant };
+  mesh.scale.setScalar(baseRadius);
+  mesh.userData.orbital = ml === null ? { family, variant } : { family, variant, ml };
+  mesh.userData.renderMode = isosurface ? 'isosurface' : 'lobes';
+  if (!amplitude) mesh.userData.cachedGeometries = [geo];
+  if (!isosurface && !amplitude) {
+    const levels = LOD_LEVELS.map(() => null);
+    levels[deferred ? LOD_LEVELS.length - 1 : 0] = geo;
+    mesh.userData.lod = {
+      level: levels.indexOf(geo),
+      levels,
+      pending: deferred,
+      acquire: (level) => acquireDescribedGeometry(describeLobeGeometry(cfg, widthSegments, heightSegments, colorPos, colorNeg, level)),
+    };
+  }
 
   if (showEdges) {
-    const e = new THREE.EdgesGeometry(geo, 12);
-    const lines = new THREE.LineSegments(
-      e,
-      new THREE.LineBasicMaterial({ color: 0x111111, transparent: true, opacity: 0.25 })
-    );
-    mesh.add(lines);
+    const lineMat = acquireMaterial('edges', () => new THREE.LineBasicMaterial({ color: 0x111111, transparent: true, opacity: 0.25 }));
+    mesh.add(new THREE.LineSegments(acquireEdgesGeometry(geo), lineMat));
   }
 
   if (enableNodes) {
     const maxRadius = evaluateOrbitalRadius(cfg, new THREE.Vector3(1, 0, 0)) * NODE_SIZE_MULTIPLIER;
     const nodes = buildNodalGroup(cfg, maxRadius);
     if (nodes) {
+      // Node helpers are sized in scene units; undo the mesh's unit-shape scaling.
+      nodes.scale.setScalar(1 / baseRadius);
       nodes.visible = showNodes;
       mesh.userData.nodesGroup = nodes;
       mesh.add(nodes);
     }
   }
+
+  if (deferred) {
+    mesh.userData.pendingGeometry = requestMeshData(full)
+      .then((data) => {
+        if (mesh.userData.disposed) return;
+        upgradeOrbitalGeometry(mesh, acquireGeometry(full.key, () => createGeometryFromMeshData(data)));
+      })
+      .catch((error) => {
+        // Keep the placeholder, still LOD-switched; the next model build retries.
+        delete mesh.userData.pendingGeometry;
+        if (mesh.userData.lod) mesh.userData.lod.pending = false;
+        if (!mesh.userData.disposed) meshErrorHandler?.(error, mesh);
+      });
+  }
   return mesh;
 }
 
-function createRingMesh(majorRadius, minorRadius, color = new THREE.Color(0xffffff), opacity = 0.35) {
+function createRingMesh(majorRadius, minorRadius, color = new THREE.Color(0xffffff), opacity = 0.35, scale = 1) {
   const geo = new THREE.TorusGeometry(majorRadius, minorRadius, 40, 128);
   // Align torus axis to Y (default is Z)
   geo.rotateX(Math.PI / 2);
@@ -376,6 +526,7 @@ function createRingMesh(majorRadius, minorRadius, color = new THREE.Color(0xffff
     depthWrite: false,
   });
   const mesh = new THREE.Mesh(geo, mat);
+  mesh.scale.setScalar(scale);
   mesh.renderOrder = 2;
   mesh.userData.isRingOverlay = true;
   return mesh;
@@ -393,17 +544,18 @@ function maybeAddRingOverlay(mesh) {
   const equatorDir = new THREE.Vector3(1, 0, 0);
   const rEquator = evaluateOrbitalRadius(cfg, equatorDir);
   const minorBase = Math.max(0.06, 0.14 * cfg.baseRadius);
+  const inverseScale = 1 / mesh.scale.x; // rings are sized in scene units
 
   if (orb.family === 'd' && orb.variant === 'dz2') {
     // Classic toroidal band for d_z^2 around equator (negative lobe)
-    const ring = createRingMesh(rEquator, minorBase, colorNeg, 0.32);
+    const ring = createRingMesh(rEquator, minorBase, colorNeg, 0.32, inverseScale);
     mesh.add(ring);
   }
 
   if (orb.family === 'f') {
     if (orb.variant === 'fxz2' || orb.variant === 'fyz2' || orb.variant === 'fzx2y2' || orb.variant === 'fxyz') {
       // Approximate equatorial ring component
-      const ring = createRingMesh(rEquator, minorBase * 0.9, colorNeg.clone().lerp(colorPos, 0.25), 0.28);
+      const ring = createRingMesh(rEquator, minorBase * 0.9, colorNeg.clone().lerp(colorPos, 0.25), 0.28, inverseScale);
       mesh.add(ring);
     }
     // For fz3, no strong equatorial ring; skip by default.
@@ -429,6 +581,12 @@ export function createOrbital({
   addRings = true,
   enableNodes = true,
   showNodes = false,
+  principalN = null,
+  zEff = 1,
+  renderMode = 'lobes',
+  isoFraction = DEFAULT_ISO_FRACTION,
+  isoResolution = DEFAULT_ISO_RESOLUTION,
+  amplitude = null,
 } = {}) {
   const mesh = buildOrbitalMesh({
     family,
@@ -452,6 +610,12 @@ export function createOrbital({
     doubleSided,
     enableNodes,
     showNodes,
+    principalN,
+    zEff,
+    renderMode,
+    isoFraction,
+    isoResolution,
+    amplitude,
   });
   mesh.userData.orbitalConfig = {
     family,
@@ -459,12 +623,16 @@ export function createOrbital({
     baseRadius,
     radialScale,
     power,
+    principalN,
+    zEff,
+    amplitude,
     colorPos: new THREE.Color(colors.pos),
     colorNeg: new THREE.Color(colors.neg),
   };
 
-  // Optionally add auxiliary "ring" geometry for variants that have toroidal parts
-  if (addRings) {
+  // Optionally add auxiliary "ring" geometry for variants that have toroidal parts;
+  // isosurfaces already contain the real torus, so they skip it.
+  if (addRings && mesh.userData.renderMode !== 'isosurface') {
     maybeAddRingOverlay(mesh);
   }
   return mesh;
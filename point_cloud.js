@@ -0,0 +1,254 @@
+// point_cloud.js - Monte Carlo electron positions drawn from |psi_nlm|^2 as THREE.Points
+// psi factorizes as R_nl(r) * A(direction), so r comes from an inverse-CDF table of
+// r^2 R^2 and the direction from rejection sampling of A^2 on the unit sphere.
+import * as THREE from 'three';
+import { evaluateOrbitalPhasor, parseComplexVariant, phaseToColor, buildNodalGroup } from './orbitals.js';
+import { FAMILY_L, evaluateRadialWavefunction, evaluateRadialDistribution, mostProbableRadius, radiusEnclosing } from './radial.js';
+
+const RADIAL_TABLE_SAMPLES = 1024;
+const RADIAL_TABLE_FRACTION = 0.999;
+const ANGULAR_BOUND_STEPS = 48;
+const ACCUMULATE_SECONDS = 6.0; // time to fill the cloud in 'accumulate' mode
+const ANIMATE_SECONDS = 1.5; // time to replace every point in 'animate' mode
+
+const radialTables = new Map();
+const angularBounds = new Map();
+
+function getRadialTable(n, l, Z) {
+  const key = `${n},${l},${Z}`;
+  if (radialTables.has(key)) return radialTables.get(key);
+  const extent = radiusEnclosing(n, l, RADIAL_TABLE_FRACTION, Z);
+  const radii = new Float64Array(RADIAL_TABLE_SAMPLES + 1);
+  const cdf = new Float64Array(RADIAL_TABLE_SAMPLES + 1);
+  let prev = 0;
+  for (let i = 1; i <= RADIAL_TABLE_SAMPLES; i += 1) {
+    const r = (extent * i) / RADIAL_TABLE_SAMPLES;
+    const value = evaluateRadialDistribution(n, l, r, Z);
+    radii[i] = r;
+    cdf[i] = cdf[i - 1] + 0.5 * (prev + value);
+    prev = value;
+  }
+  const total = cdf[RADIAL_TABLE_SAMPLES];
+  for (let i = 1; i <= RADIAL_TABLE_SAMPLES; i += 1) cdf[i] /= total;
+  const table = { radii, cdf };
+  radialTables.set(key, table);
+  return table;
+}
+
+function sampleRadius(table, u) {
+  const { radii, cdf } = table;
+  let lo = 0;
+  let hi = cdf.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (cdf[mid] < u) lo = mid;
+    else hi = mid;
+  }
+  const span = cdf[hi] - cdf[lo];
+  const t = span > 0 ? (u - cdf[lo]) / span : 0;
+  return radii[lo] + t * (radii[hi] - radii[lo]);
+}
+
+// Upper bound of A^2 over the sphere from a coarse grid, padded for the gaps between samples.
+function getAngularBound(family, variant) {
+  const key = `${family}:${variant}`;
+  if (angularBounds.has(key)) return angularBounds.get(key);
+  const dir = { x: 0, y: 0, z: 0 };
+  const phasor = { magnitude: 0, angle: 0 };
+  let max = 0;
+  for (let i = 0; i <= ANGULAR_BOUND_STEPS; i += 1) {
+    const theta = (Math.PI * i) / ANGULAR_BOUND_STEPS;
+    for (let j = 0; j < 2 * ANGULAR_BOUND_STEPS; j += 1) {
+      const phi = (Math.PI * j) / ANGULAR_BOUND_STEPS;
+      dir.x = Math.sin(theta) * Math.cos(phi);
+      dir.y = Math.cos(theta);
+      dir.z = Math.sin(theta) * Math.sin(phi);
+      const { magnitude } = evaluateOrbitalPhasor(family, variant, dir, phasor);
+      max = Math.max(max, magnitude * magnitude);
+    }
+  }
+  const bound = max * 1.1 || 1;
+  angularBounds.set(key, bound);
+  return bound;
+}
+
+// Writes `count` samples into target arrays starting at `offset` (positions in Bohr radii
+// times `scale`; signs are the sign of psi, angles its phase in [0, 2pi) for complex
+// variants). Returns the arrays for chaining.
+export function sampleOrbitalPoints(
+  { principalN, family, variant, zEff = 1 },
+  count,
+  {
+    scale = 1,
+    random = Math.random,
+    positions = new Float32Array(count * 3),
+    signs = new Float32Array(count),
+    angles = new Float32Array(count),
+    offset = 0,
+  } = {}
+) {
+  const l = FAMILY_L[family];
+  if (!principalN || l === undefined || l >= principalN) {
+    throw new Error(`Cannot sample ${principalN}${family}: invalid quantum numbers`);
+  }
+  const table = getRadialTable(principalN, l, zEff);
+  const bound = getAngularBound(family, variant);
+  const dir = { x: 0, y: 0, z: 0 };
+  const phasor = { magnitude: 0, angle: 0 };
+  for (let k = 0; k < count; k += 1) {
+    // Uniform direction, accepted with probability |A|^2 / bound.
+    do {
+      const y = 2 * random() - 1;
+      const phi = 2 * Math.PI * random();
+      const s = Math.sqrt(Math.max(0, 1 - y * y));
+      dir.x = s * Math.cos(phi);
+      dir.y = y;
+      dir.z = s * Math.sin(phi);
+      evaluateOrbitalPhasor(family, variant, dir, phasor);
+    } while (random() * bound > phasor.magnitude * phasor.magnitude);
+    const r = sampleRadius(table, random());
+    const i = offset + k;
+    positions[3 * i] = dir.x * r * scale;
+    positions[3 * i + 1] = dir.y * r * scale;
+    positions[3 * i + 2] = dir.z * r * scale;
+    const angle = evaluateRadialWavefunction(principalN, l, r, zEff) < 0 ? phasor.angle + Math.PI : phasor.angle;
+    angles[i] = angle % (2 * Math.PI);
+    signs[i] = Math.cos(angles[i]) < 0 ? -1 : 1;
+  }
+  return { positions, signs, angles };
+}
+
+function writeBatch(points, start, count) {
+  const state = points.userData.pointCloud;
+  const geo = points.geometry;
+  const position = geo.getAttribute('position');
+  const color = geo.getAttribute('color');
+  const phase = geo.getAttribute('phase');
+  const { angles } = sampleOrbitalPoints(state.cfg, count, {
+    scale: state.scale,
+    positions: position.array,
+    signs: phase.array,
+    offset: start,
+    angles: state.angles,
+  });
+  const c = new THREE.Color();
+  for (let i = start; i < start + count; i += 1) {
+    if (state.complex) phaseToColor(angles[i], c);
+    else c.copy(phase.array[i] > 0 ? state.colorPos : state.colorNeg);
+    c.toArray(color.array, 3 * i);
+  }
+  position.needsUpdate = true;
+  color.needsUpdate = true;
+  phase.needsUpdate = true;
+}
+
+// Point-cloud counterpart of createOrbital: same options, plus pointCount/pointSize and
+// pointMode 'static' (all samples at once) | 'accumulate' (fills over time) | 'animate'
+// (samples are continually redrawn). Scene scale matches the isosurface mode.
+export function createOrbitalPointCloud({
+  family = 's',
+  variant = 's',
+  baseRadius = 0.8,
+  colors = { pos: 0xff8ec7, neg: 0x7fbaff },
+  material = {},
+  enableNodes = true,
+  showNodes = false,
+  principalN = null,
+  zEff = 1,
+  pointCount = 4000,
+  pointSize = 0.035,
+  pointMode = 'static',
+} = {}) {
+  if (!principalN) {
+    throw new Error('createOrbitalPointCloud requires principalN');
+  }
+  const l = FAMILY_L[family] ?? 0;
+  const cfg = { family, variant, baseRadius, principalN, zEff };
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(pointCount * 3), 3));
+  geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(pointCount * 3), 3));
+  geo.setAttribute('phase', new THREE.BufferAttribute(new Float32Array(pointCount), 1));
+
+  const mat = new THREE.PointsMaterial({
+    size: pointSize,
+    vertexColors: true,
+    transparent: true,
+    opacity: Math.min(1, (material.opacity ?? 0.85) * 2.0),
+    depthWrite: false,
+    sizeAttenuation: true,
+  });
+  const points = new THREE.Points(geo, mat);
+  const ml = parseComplexVariant(variant);
+  points.userData.orbital = ml === null ? { family, variant } : { family, variant, ml };
+  points.userData.renderMode = 'points';
+  points.userData.orbitalConfig = {
+    family,
+    variant,
+    baseRadius,
+    principalN,
+    zEff,
+    colorPos: new THREE.Color(colors.pos),
+    colorNeg: new THREE.Color(colors.neg),
+  };
+  points.userData.pointCloud = {
+    cfg,
+    scale: baseRadius / mostProbableRadius(principalN, l, zEff),
+    colorPos: new THREE.Color(colors.pos),
+    colorNeg: new THREE.Color(colors.neg),
+    complex: parseComplexVariant(variant) !== null,
+    angles: new Float32Array(pointCount),
+    mode: pointMode,
+    count: pointCount,
+    drawn: 0,
+    cursor: 0,
+    pending: 0,
+  };
+
+  if (pointMode === 'accumulate') {
+    geo.setDrawRange(0, 0);
+  } else {
+    writeBatch(points, 0, pointCount);
+    points.userData.pointCloud.drawn = pointCount;
+  }
+  geo.boundingSphere = new THREE.Sphere(new THREE.Vector3(), radiusEnclosing(principalN, l, RADIAL_TABLE_FRACTION, zEff) * points.userData.pointCloud.scale);
+
+  if (enableNodes) {
+    const nodes = buildNodalGroup(cfg, baseRadius * 2.0);
+    if (nodes) {
+      nodes.visible = showNodes;
+      points.userData.nodesGroup = nodes;
+      points.add(nodes);
+    }
+  }
+  return points;
+}
+
+// Advances every accumulating or animated cloud under `root`; call once per frame.
+export function updatePointClouds(root, dt) {
+  if (!root) return;
+  root.traverse((obj) => {
+    const state = obj.userData?.pointCloud;
+    if (!state || state.mode === 'static' || !obj.visible) return;
+    const seconds = state.mode === 'accumulate' ? ACCUMULATE_SECONDS : ANIMATE_SECONDS;
+    state.pending += (state.count * dt) / seconds;
+    let batch = Math.floor(state.pending);
+    if (batch <= 0) return;
+    state.pending -= batch;
+
+    if (state.mode === 'accumulate') {
+      batch = Math.min(batch, state.count - state.drawn);
+      if (batch <= 0) return;
+      writeBatch(obj, state.drawn, batch);
+      state.drawn += batch;
+      obj.geometry.setDrawRange(0, state.drawn);
+      return;
+    }
+
+    // 'animate': overwrite the oldest samples, wrapping around the buffer.
+    batch = Math.min(batch, state.count);
+    const first = Math.min(batch, state.count - state.cursor);
+    writeBatch(obj, state.cursor, first);
+    if (batch > first) writeBatch(obj, 0, batch - first);
+    state.cursor = (state.cursor + batch) % state.count;
+  });
+}
@@ -0,0 +1,240 @@
+// probability.js - Numerical probability queries for the orbitals orbitals.js renders
+// psi = R_nl(r) * angular(theta, phi) separates, so every region below (ball, cone, octant,
+// or their intersection with a ball) factors into a radial and an angular integral, each
+// done with Gauss-Legendre quadrature over properly normalized densities.
+// Radii are in Bohr radii. Directions follow orbitals.js: the polar axis is Y.
+// Pure math, no three.js, so it can be imported in Node as well as the browser.
+import { evaluateOrbitalPhasor } from './orbital_math.js';
+import { FAMILY_L, evaluateRadialDistribution, radialExtent } from './radial.js';
+
+const GAUSS_ORDER = 16;
+const RADIAL_PANELS = 48;
+const POLAR_NODES = 48;
+const AZIMUTH_STEPS = 96; // trapezoid in phi is exact for the trig polynomials of l <= 47
+
+// Nodes and weights on [-1, 1] via Newton iteration on P_n.
+function gaussLegendre(order) {
+  const nodes = [];
+  const weights = [];
+  for (let i = 1; i <= order; i += 1) {
+    let x = Math.cos((Math.PI * (i - 0.25)) / (order + 0.5));
+    let dp = 1;
+    for (let iter = 0; iter < 100; iter += 1) {
+      let p0 = 1;
+      let p1 = x;
+      for (let k = 2; k <= order; k += 1) {
+        const p2 = ((2 * k - 1) * x * p1 - (k - 1) * p0) / k;
+        p0 = p1;
+        p1 = p2;
+      }
+      dp = (order * (x * p1 - p0)) / (x * x - 1);
+      const dx = p1 / dp;
+      x -= dx;
+      if (Math.abs(dx) < 1e-15) break;
+    }
+    nodes.push(x);
+    weights.push(2 / ((1 - x * x) * dp * dp));
+  }
+  return { nodes, weights };
+}
+
+const GAUSS = gaussLegendre(GAUSS_ORDER);
+const POLAR = gaussLegendre(POLAR_NODES);
+
+// Composite Gauss-Legendre of f over [a, b].
+function integrate(f, a, b, panels = RADIAL_PANELS) {
+  if (b <= a) return 0;
+  const h = (b - a) / panels;
+  let sum = 0;
+  for (let p = 0; p < panels; p += 1) {
+    const mid = a + (p + 0.5) * h;
+    for (let i = 0; i < GAUSS_ORDER; i += 1) sum += GAUSS.weights[i] * f(mid + 0.5 * h * GAUSS.nodes[i]);
+  }
+  return 0.5 * h * sum;
+}
+
+// Accepts an orbitalConfig ({ principalN, family, variant, zEff, amplitude }) or the
+// shorter { n, family | l, variant, zEff }.
+// The angular part alone needs no principalN (hybrids.js normalizes bare shapes).
+function resolveAngular(orbital) {
+  const family = orbital?.family ?? Object.keys(FAMILY_L).find((key) => FAMILY_L[key] === orbital?.l);
+  const l = FAMILY_L[family];
+  if (l === undefined) {
+    throw new Error(`Cannot evaluate probabilities for family=${family}`);
+  }
+  return {
+    l,
+    family,
+    variant: orbital.variant ?? (l === 0 ? 's' : undefined),
+    amplitude: orbital.amplitude ?? null,
+  };
+}
+
+function resolveOrbital(orbital) {
+  const n = orbital?.principalN ?? orbital?.n;
+  const angular = resolveAngular(orbital);
+  if (!Number.isInteger(n) || angular.l >= n) {
+    throw new Error(`Cannot evaluate probabilities for n=${n}, family=${angular.family}`);
+  }
+  return { n, ...angular, Z: orbital.zEff ?? orbital.Z ?? 1 };
+}
+
+function createAngularDensity({ family, variant, amplitude }) {
+  const phasor = { magnitude: 0, angle: 0 };
+  if (amplitude) {
+    return (dir) => {
+      const a = amplitude(dir);
+      return a * a;
+    };
+  }
+  return (dir) => evaluateOrbitalPhasor(family, variant, dir, phasor).magnitude ** 2;
+}
+
+// Integral of density over the solid angle of polar angle [cos1, cos2] x azimuth [phi1, phi2]
+// measured from the frame (axis, e1, e2), with axis the local pole.
+function integrateSolidAngle(density, { cosRange = [-1, 1], phiRange = [0, 2 * Math.PI], frame = null }) {
+  const [c1, c2] = cosRange;
+  const [p1, p2] = phiRange;
+  // Midpoints are exact over a full turn; partial arcs (octants) use Gauss-Legendre in phi.
+  const fullTurn = Math.abs(p2 - p1 - 2 * Math.PI) < 1e-12;
+  const azimuth = fullTurn
+    ? Array.from({ length: AZIMUTH_STEPS }, (_, j) => ({ phi: p1 + ((j + 0.5) * (p2 - p1)) / AZIMUTH_STEPS, weight: (p2 - p1) / AZIMUTH_STEPS }))
+    : POLAR.nodes.map((x, j) => ({ phi: 0.5 * (p1 + p2) + 0.5 * (p2 - p1) * x, weight: 0.5 * (p2 - p1) * POLAR.weights[j] }));
+  const dir = { x: 0, y: 0, z: 0 };
+  let sum = 0;
+  for (let i = 0; i < POLAR_NODES; i += 1) {
+    const cosT = 0.5 * (c1 + c2) + 0.5 * (c2 - c1) * POLAR.nodes[i];
+    const sinT = Math.sqrt(Math.max(0, 1 - cosT * cosT));
+    let ring = 0;
+    azimuth.forEach(({ phi, weight }) => {
+      const a = sinT * Math.cos(phi);
+      const b = sinT * Math.sin(phi);
+      if (frame) {
+        const { axis, e1, e2 } = frame;
+        dir.x = cosT * axis.x + a * e1.x + b * e2.x;
+        dir.y = cosT * axis.y + a * e1.y + b * e2.y;
+        dir.z = cosT * axis.z + a * e1.z + b * e2.z;
+      } else {
+        // Default frame is orbitals.js's: pole Y, phi from X towards Z.
+        dir.x = a;
+        dir.y = cosT;
+        dir.z = b;
+      }
+      ring += weight * density(dir);
+    });
+    sum += POLAR.weights[i] * ring;
+  }
+  return 0.5 * (c2 - c1) * sum;
+}
+
+const angularNorms = new Map();
+const amplitudeNorms = new WeakMap();
+
+function getAngularNorm(orbital, density) {
+  if (orbital.amplitude && amplitudeNorms.has(orbital.amplitude)) return amplitudeNorms.get(orbital.amplitude);
+  const key = `${orbital.family}:${orbital.variant}`;
+  if (!orbital.amplitude && angularNorms.has(key)) return angularNorms.get(key);
+  const norm = integrateSolidAngle(density ?? createAngularDensity(orbital), {});
+  if (orbital.amplitude) amplitudeNorms.set(orbital.amplitude, norm);
+  else angularNorms.set(key, norm);
+  return norm;
+}
+
+// 1 / sqrt(integral of A^2 over the sphere): scales the angular factors of orbitals.js,
+// which are peak-normalized shapes, to unit norm.
+export function angularNormalization(orbital) {
+  return 1 / Math.sqrt(getAngularNorm(resolveAngular(orbital)));
+}
+
+function angularProbability(orbital, region) {
+  const density = createAngularDensity(orbital);
+  return integrateSolidAngle(density, region) / getAngularNorm(orbital, density);
+}
+
+function normalize(v) {
+  const len = Math.hypot(v.x, v.y, v.z);
+  if (!len) throw new Error('Cone axis must be a non-zero vector');
+  return { x: v.x / len, y: v.y / len, z: v.z / len };
+}
+
+function cross(a, b) {
+  return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+// Orthonormal (e1, e2) completing axis to a right-handed frame.
+function buildFrame(axis) {
+  const helper = Math.abs(axis.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 };
+  const e1 = normalize(cross(helper, axis));
+  return { axis, e1, e2: cross(axis, e1) };
+}
+
+// Probability that the electron is within radius r of the nucleus.
+export function probabilityWithinRadius(orbital, radius) {
+  const { n, l, Z } = resolveOrbital(orbital);
+  const extent = radialExtent(n, Z);
+  if (radius >= extent) return 1;
+  return integrate((r) => evaluateRadialDistribution(n, l, r, Z), 0, Math.max(0, radius));
+}
+
+// Probability inside the cone of half-angle halfAngle (radians) around axis, optionally
+// also within radius. Both nappes count only if doubleCone is set.
+export function probabilityInCone(orbital, { axis = { x: 0, y: 1, z: 0 }, halfAngle, radius = Infinity, doubleCone = false } = {}) {
+  const resolved = resolveOrbital(orbital);
+  if (!(halfAngle >= 0)) throw new Error('probabilityInCone requires a halfAngle in radians');
+  const frame = buildFrame(normalize(axis));
+  const cosAlpha = Math.cos(Math.min(Math.PI, halfAngle));
+  let angular = angularProbability(resolved, { cosRange: [cosAlpha, 1], frame });
+  if (doubleCone && halfAngle < Math.PI / 2) angular += angularProbability(resolved, { cosRange: [-1, -cosAlpha], frame });
+  const radial = Number.isFinite(radius) ? probabilityWithinRadius(orbital, radius) : 1;
+  return Math.min(1, angular) * radial;
+}
+
+// Probability in the octant given by the signs of x, y and z (e.g. [1, -1, 1]), optionally
+// also within radius.
+export function probabilityInOctant(orbital, { signs = [1, 1, 1], radius = Infinity } = {}) {
+  const resolved = resolveOrbital(orbital);
+  const [sx, sy, sz] = signs.map((s) => (s < 0 ? -1 : 1));
+  // With the pole on Y, the sign of y picks the hemisphere and (x, z) the phi quadrant.
+  const cosRange = sy > 0 ? [0, 1] : [-1, 0];
+  const start = { '1,1': 0, '-1,1': 0.5, '-1,-1': 1, '1,-1': 1.5 }[`${sx},${sz}`] * Math.PI;
+  const angular = angularProbability(resolved, { cosRange, phiRange: [start, start + Math.PI / 2] });
+  const radial = Number.isFinite(radius) ? probabilityWithinRadius(orbital, radius) : 1;
+  return angular * radial;
+}
+
+// <r^power> over the normalized radial distribution; power 1 and 2 give <r> and <r^2>.
+export function expectationRadius(orbital, power = 1) {
+  const { n, l, Z } = resolveOrbital(orbital);
+  return integrate((r) => r ** power * evaluateRadialDistribution(n, l, r, Z), 0, radialExtent(n, Z), 4 * RADIAL_PANELS);
+}
+
+// Radius of the ball holding `fraction` of the probability, by bisection on probabilityWithinRadius.
+export function radiusForProbability(orbital, fraction = 0.9) {
+  if (!(fraction > 0 && fraction < 1)) throw new Error('fraction must be between 0 and 1');
+  const { n, Z } = resolveOrbital(orbital);
+  let lo = 0;
+  let hi = radialExtent(n, Z);
+  for (let i = 0; i < 60; i += 1) {
+    const mid = 0.5 * (lo + hi);
+    if (probabilityWithinRadius(orbital, mid) < fraction) lo = mid;
+    else hi = mid;
+  }
+  return 0.5 * (lo + hi);
+}
+
+// The handful of numbers the inspector shows for one orbital.
+export function summarizeOrbitalProbabilities(orbital, { radius, coneAxis, coneHalfAngle, octant } = {}) {
+  const meanR = expectationRadius(orbital, 1);
+  const summary = {
+    meanR,
+    meanR2: expectationRadius(orbital, 2),
+    r90: radiusForProbability(orbital, 0.9),
+    withinMeanR: probabilityWithinRadius(orbital, meanR),
+  };
+  if (radius !== undefined) summary.withinRadius = probabilityWithinRadius(orbital, radius);
+  if (coneHalfAngle !== undefined) {
+    summary.inCone = probabilityInCone(orbital, { axis: coneAxis, halfAngle: coneHalfAngle });
+  }
+  if (octant) summary.inOctant = probabilityInOctant(orbital, { signs: octant });
+  return summary;
+}
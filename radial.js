@@ -0,0 +1,117 @@
+// radial.js - Hydrogenic radial wavefunctions R_nl(r) in atomic units (r in Bohr radii)
+// Pure math, no three.js, so it can be imported in Node as well as the browser.
+
+export const FAMILY_L = { s: 0, p: 1, d: 2, f: 3, g: 4, h: 5 };
+
+function factorial(k) {
+  let result = 1;
+  for (let i = 2; i <= k; i += 1) result *= i;
+  return result;
+}
+
+// Generalized Laguerre polynomial L_k^alpha(x) via the three-term recurrence.
+export function generalizedLaguerre(k, alpha, x) {
+  if (k === 0) return 1;
+  let prev = 1;
+  let cur = 1 + alpha - x;
+  for (let i = 1; i < k; i += 1) {
+    const next = ((2 * i + 1 + alpha - x) * cur - (i + alpha) * prev) / (i + 1);
+    prev = cur;
+    cur = next;
+  }
+  return cur;
+}
+
+function assertQuantumNumbers(n, l) {
+  if (!Number.isInteger(n) || !Number.isInteger(l) || n < 1 || l < 0 || l >= n) {
+    throw new Error(`Invalid hydrogenic quantum numbers n=${n}, l=${l}`);
+  }
+}
+
+// Prefactor of R_nl; shaders that evaluate the polynomial themselves take it as a uniform.
+export function radialNormalization(n, l, Z = 1) {
+  assertQuantumNumbers(n, l);
+  return Math.sqrt(((2 * Z) / n) ** 3 * factorial(n - l - 1) / (2 * n * factorial(n + l)));
+}
+
+// Normalized so that the integral of r^2 R^2 dr over [0, inf) is 1. Z may be a
+// nuclear charge or a Slater Z_eff; it only rescales r.
+export function evaluateRadialWavefunction(n, l, r, Z = 1) {
+  const norm = radialNormalization(n, l, Z);
+  const rho = (2 * Z * r) / n;
+  return norm * Math.exp(-rho / 2) * rho ** l * generalizedLaguerre(n - l - 1, 2 * l + 1, rho);
+}
+
+// P(r) = r^2 R_nl(r)^2, the probability per unit radius.
+export function evaluateRadialDistribution(n, l, r, Z = 1) {
+  const R = evaluateRadialWavefunction(n, l, r, Z);
+  return r * r * R * R;
+}
+
+// Far enough out that r^2 R^2 has decayed to nothing for every bound state.
+export function radialExtent(n, Z = 1) {
+  return (2 * n * n + 6 * n + 10) / Z;
+}
+
+// The n - l - 1 radii where R_nl changes sign.
+export function findRadialNodes(n, l, Z = 1) {
+  assertQuantumNumbers(n, l);
+  const count = n - l - 1;
+  if (count === 0) return [];
+  const f = (r) => generalizedLaguerre(count, 2 * l + 1, (2 * Z * r) / n);
+  const extent = radialExtent(n, Z);
+  const samples = 2000;
+  const nodes = [];
+  let prevR = 0;
+  let prevF = f(prevR);
+  for (let i = 1; i <= samples && nodes.length < count; i += 1) {
+    const r = (extent * i) / samples;
+    const value = f(r);
+    if (Math.sign(value) !== Math.sign(prevF)) {
+      let lo = prevR;
+      let hi = r;
+      for (let k = 0; k < 60; k += 1) {
+        const mid = 0.5 * (lo + hi);
+        if (Math.sign(f(mid)) === Math.sign(f(lo))) lo = mid;
+        else hi = mid;
+      }
+      nodes.push(0.5 * (lo + hi));
+    }
+    prevR = r;
+    prevF = value;
+  }
+  return nodes;
+}
+
+// Radius of the global maximum of r^2 R^2 (the outermost lobe for hydrogenic states).
+export function mostProbableRadius(n, l, Z = 1) {
+  const extent = radialExtent(n, Z);
+  const samples = 4000;
+  let best = 0;
+  let bestValue = -Infinity;
+  for (let i = 1; i <= samples; i += 1) {
+    const r = (extent * i) / samples;
+    const value = evaluateRadialDistribution(n, l, r, Z);
+    if (value > bestValue) {
+      bestValue = value;
+      best = r;
+    }
+  }
+  return best;
+}
+
+// Smallest r whose sphere holds `fraction` of the radial probability (trapezoid rule).
+export function radiusEnclosing(n, l, fraction, Z = 1) {
+  const extent = radialExtent(n, Z);
+  const samples = 4000;
+  const dr = extent / samples;
+  let total = 0;
+  let prev = 0;
+  for (let i = 1; i <= samples; i += 1) {
+    const value = evaluateRadialDistribution(n, l, i * dr, Z);
+    total += 0.5 * (prev + value) * dr;
+    prev = value;
+    if (total >= fraction) return i * dr;
+  }
+  return extent;
+}
@@ -0,0 +1,227 @@
+// radial_plot.js - Canvas chart of R_nl(r), R^2 and P(r) = r^2 R^2 for a set of subshells
+// Plain 2D canvas, no chart library. Each curve is scaled to its own maximum because core
+// subshells with a large Z_eff would otherwise flatten the valence ones.
+import { FAMILY_L, evaluateRadialWavefunction, findRadialNodes, mostProbableRadius, radiusEnclosing } from './radial.js';
+
+const SAMPLES = 240;
+const ROW_HEIGHT = 44;
+const OVERLAY_HEIGHT = 170;
+const PADDING = { left: 8, right: 8, top: 8, bottom: 18 };
+const LOG_MIN_FRACTION = 1e-3; // log axis starts this far below the outermost radius
+const HOVER_DISTANCE = 10; // px
+
+// quantity: 'R', 'R2' or 'P'.
+function evaluateQuantity(quantity, n, l, r, Z) {
+  const R = evaluateRadialWavefunction(n, l, r, Z);
+  if (quantity === 'R') return R;
+  if (quantity === 'R2') return R * R;
+  return r * r * R * R;
+}
+
+// subshells: [{ key, n, family, zEff, color }]. Radii are in Bohr radii.
+export function buildRadialCurves(subshells) {
+  return subshells.map(({ key, n, family, zEff = 1, color = '#ffffff' }) => {
+    const l = FAMILY_L[family] ?? 0;
+    return {
+      key,
+      n,
+      l,
+      zEff,
+      color,
+      peak: mostProbableRadius(n, l, zEff),
+      nodes: findRadialNodes(n, l, zEff),
+      extent: radiusEnclosing(n, l, 0.995, zEff),
+    };
+  });
+}
+
+function niceStep(span) {
+  const raw = span / 4;
+  const pow = 10 ** Math.floor(Math.log10(raw));
+  const unit = raw / pow;
+  return (unit < 1.5 ? 1 : unit < 3.5 ? 2 : 5) * pow;
+}
+
+// onHover(key | null) fires when the pointer moves onto or off a curve.
+export function createRadialPlot(canvas, { onHover } = {}) {
+  const ctx = canvas.getContext('2d');
+  let curves = [];
+  let quantity = 'P';
+  let layout = 'overlay';
+  let logScale = false;
+  let highlighted = null;
+  let paths = []; // per curve: [{ x, y }] in CSS pixels, for hit testing
+
+  function getRange() {
+    const rMax = curves.reduce((max, curve) => Math.max(max, curve.extent), 0) || 1;
+    return { rMin: logScale ? rMax * LOG_MIN_FRACTION : 0, rMax };
+  }
+
+  function makeXScale(width) {
+    const { rMin, rMax } = getRange();
+    const span = width - PADDING.left - PADDING.right;
+    if (!logScale) return (r) => PADDING.left + (r / rMax) * span;
+    const lo = Math.log10(rMin);
+    const hi = Math.log10(rMax);
+    return (r) => PADDING.left + ((Math.log10(Math.max(r, rMin)) - lo) / (hi - lo)) * span;
+  }
+
+  function sampleRadius(t) {
+    const { rMin, rMax } = getRange();
+    return logScale ? rMin * (rMax / rMin) ** t : t * rMax;
+  }
+
+  function drawAxis(width, height, x) {
+    const { rMin, rMax } = getRange();
+    const y = height - PADDING.bottom;
+    ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+    ctx.beginPath();
+    ctx.moveTo(PADDING.left, y + 0.5);
+    ctx.lineTo(width - PADDING.right, y + 0.5);
+    ctx.stroke();
+    ctx.fillStyle = 'rgba(255,255,255,0.6)';
+    ctx.font = '10px system-ui';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const ticks = [];
+    if (logScale) {
+      for (let e = Math.ceil(Math.log10(rMin)); e <= Math.log10(rMax); e += 1) ticks.push(10 ** e);
+    } else {
+      const step = niceStep(rMax);
+      for (let r = 0; r <= rMax + 1e-9; r += step) ticks.push(r);
+    }
+    ticks.forEach((r) => {
+      const px = x(r);
+      ctx.fillRect(px, y, 1, 3);
+      ctx.fillText(r < 0.01 ? r.toExponential(0) : String(Number(r.toPrecision(2))), px, y + 4);
+    });
+    ctx.textAlign = 'right';
+    ctx.fillText('r / a₀', width - PADDING.right, y - 12);
+  }
+
+  function drawCurve(curve, x, top, bottom, signed) {
+    const values = [];
+    let max = 0;
+    for (let i = 0; i <= SAMPLES; i += 1) {
+      const r = sampleRadius(i / SAMPLES);
+      const value = evaluateQuantity(quantity, curve.n, curve.l, r, curve.zEff);
+      values.push({ r, value });
+      max = Math.max(max, Math.abs(value));
+    }
+    const baseline = signed ? (top + bottom) / 2 : bottom;
+    const amplitude = signed ? (bottom - top) / 2 : bottom - top;
+    const y = (value) => baseline - (max > 0 ? value / max : 0) * amplitude;
+    const active = highlighted === null || highlighted === curve.key;
+    const path = values.map(({ r, value }) => ({ x: x(r), y: y(value) }));
+
+    ctx.globalAlpha = active ? 1 : 0.3;
+    ctx.strokeStyle = curve.color;
+    ctx.lineWidth = highlighted === curve.key ? 2 : 1.25;
+    ctx.beginPath();
+    path.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.stroke();
+
+    // Most probable radius as a dashed line, radial nodes as hollow circles on the baseline.
+    ctx.setLineDash([3, 3]);
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x(curve.peak) + 0.5, top);
+    ctx.lineTo(x(curve.peak) + 0.5, bottom);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    curve.nodes.forEach((r) => {
+      ctx.beginPath();
+      ctx.arc(x(r), baseline, 2.5, 0, 2 * Math.PI);
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
+    return path;
+  }
+
+  function draw() {
+    if (!ctx) return;
+    const width = canvas.clientWidth;
+    if (!width) return; // hidden (closed panel); drawn again when shown
+    const height = layout === 'stacked' ? Math.max(1, curves.length) * ROW_HEIGHT + PADDING.top + PADDING.bottom : OVERLAY_HEIGHT;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.style.height = `${height}px`;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (!curves.length) {
+      paths = [];
+      return;
+    }
+    const x = makeXScale(width);
+    const signed = quantity === 'R';
+    const plotBottom = height - PADDING.bottom;
+    paths = curves.map((curve, index) => {
+      if (layout !== 'stacked') return drawCurve(curve, x, PADDING.top, plotBottom, signed);
+      const top = PADDING.top + index * ROW_HEIGHT;
+      ctx.fillStyle = curve.color;
+      ctx.font = '10px system-ui';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'top';
+      ctx.fillText(curve.key, width - PADDING.right, top);
+      return drawCurve(curve, x, top + 4, top + ROW_HEIGHT - 4, signed);
+    });
+    drawAxis(width, height, x);
+  }
+
+  // Closest curve to the pointer, measured vertically at the pointer's x.
+  function pick(px, py) {
+    let best = null;
+    let bestDistance = HOVER_DISTANCE;
+    paths.forEach((path, index) => {
+      const i = path.findIndex((p) => p.x >= px);
+      if (i < 0) return;
+      const distance = Math.abs(path[i].y - py);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = curves[index].key;
+      }
+    });
+    return best;
+  }
+
+  function setHighlighted(key) {
+    if (key === highlighted) return;
+    highlighted = key;
+    draw();
+    if (onHover) onHover(key);
+  }
+
+  function onPointerMove(event) {
+    const rect = canvas.getBoundingClientRect();
+    setHighlighted(pick(event.clientX - rect.left, event.clientY - rect.top));
+  }
+
+  function onPointerLeave() {
+    setHighlighted(null);
+  }
+
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerleave', onPointerLeave);
+
+  return {
+    setCurves(next) {
+      curves = next;
+      highlighted = null;
+      draw();
+    },
+    setOptions(options = {}) {
+      if (options.quantity !== undefined) quantity = options.quantity;
+      if (options.layout !== undefined) layout = options.layout;
+      if (options.logScale !== undefined) logScale = options.logScale;
+      draw();
+    },
+    draw,
+    dispose() {
+      canvas.removeEventListener('pointermove', onPointerMove);
+      canvas.removeEventListener('pointerleave', onPointerLeave);
+    },
+    get curves() { return curves; },
+    get highlighted() { return highlighted; },
+  };
+}
@@ -1,3 +1,225 @@
-// Raymarch overlay removed: stub file kept to avoid accidental imports.
-// The raymarching overlay functionality has been intentionally removed per user request.
-// No exports.
+// raymarch_overlay.js - Volumetric |psi|^2 renderer for selected orbitals
+// A bounding box is drawn back-face only; each fragment marches its ray through the box,
+// evaluating every orbital analytically (orbital_sdf.js), so no 3D textures or float
+// render targets are needed and it runs on software WebGL. A depth prepass of the rest
+// of the scene stops rays at opaque surfaces such as the nucleus.
+import * as THREE from 'three';
+import { ORBITAL_PSI_GLSL, encodeOrbitalForShader } from './orbital_sdf.js';
+
+export const MAX_VOLUME_ORBITALS = 24;
+const MAX_STEPS = 256;
+
+export const VOLUME_TRANSFERS = {
+  phase: 0, // orbital colors by sign of psi
+  heat: 1, // black-red-yellow ramp on density
+  mono: 2, // single bluish-white tint
+};
+
+const vertexShader = /* glsl */`
+  varying vec3 vOrigin;
+  varying vec3 vDirection;
+  void main() {
+    vOrigin = vec3(inverse(modelMatrix) * vec4(cameraPosition, 1.0)).xyz;
+    vDirection = position - vOrigin;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const fragmentShader = /* glsl */`
+  precision highp float;
+  #include <packing>
+  #define MAX_ORBITALS ${MAX_VOLUME_ORBITALS}
+  #define MAX_STEPS ${MAX_STEPS}
+  varying vec3 vOrigin;
+  varying vec3 vDirection;
+  uniform int uCount;
+  uniform vec4 uOrbitalA[MAX_ORBITALS];
+  uniform vec4 uOrbitalB[MAX_ORBITALS];
+  uniform vec3 uColorPos[MAX_ORBITALS];
+  uniform vec3 uColorNeg[MAX_ORBITALS];
+  uniform float uHalfSize;
+  uniform float uDensity;
+  uniform int uTransfer;
+  uniform int uSteps;
+  uniform bool uUseDepth;
+  uniform sampler2D uDepth;
+  uniform vec2 uResolution;
+  uniform float uNear;
+  uniform float uFar;
+
+  ${ORBITAL_PSI_GLSL}
+
+  vec2 hitBox(vec3 origin, vec3 dir) {
+    vec3 inv = 1.0 / dir;
+    vec3 t0 = (vec3(-uHalfSize) - origin) * inv;
+    vec3 t1 = (vec3(uHalfSize) - origin) * inv;
+    vec3 tmin = min(t0, t1);
+    vec3 tmax = max(t0, t1);
+    return vec2(max(max(tmin.x, tmin.y), tmin.z), min(min(tmax.x, tmax.y), tmax.z));
+  }
+
+  vec3 transfer(float rho, vec3 phaseColor) {
+    if (uTransfer == 1) {
+      float x = 1.0 - exp(-rho * uDensity * 0.25);
+      return clamp(vec3(3.0 * x, 3.0 * x - 1.0, 3.0 * x - 2.0), 0.0, 1.0) + vec3(0.15, 0.02, 0.05);
+    }
+    if (uTransfer == 2) return vec3(0.75, 0.85, 1.0);
+    return phaseColor;
+  }
+
+  void main() {
+    vec3 dir = normalize(vDirection);
+    vec2 bounds = hitBox(vOrigin, dir);
+    if (bounds.x > bounds.y) discard;
+    bounds.x = max(bounds.x, 0.0);
+    if (uUseDepth) {
+      float depth = texture2D(uDepth, gl_FragCoord.xy / uResolution).x;
+      float sceneZ = perspectiveDepthToViewZ(depth, uNear, uFar);
+      float dz = (viewMatrix * modelMatrix * vec4(dir, 0.0)).z;
+      if (dz < 0.0) bounds.y = min(bounds.y, sceneZ / dz);
+    }
+    if (bounds.x >= bounds.y) discard;
+
+    float dt = (bounds.y - bounds.x) / float(uSteps);
+    // Jitter the first sample per pixel to trade banding for fine noise.
+    float jitter = fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453);
+    float t = bounds.x + dt * jitter;
+    vec3 color = vec3(0.0);
+    float alpha = 0.0;
+    for (int i = 0; i < MAX_STEPS; i++) {
+      if (i >= uSteps || t > bounds.y) break;
+      vec3 p = vOrigin + dir * t;
+      float rho = 0.0;
+      vec3 phaseColor = vec3(0.0);
+      for (int k = 0; k < MAX_ORBITALS; k++) {
+        if (k >= uCount) break;
+        float psi = orbitalPsi(uOrbitalA[k], uOrbitalB[k], p);
+        float d = uOrbitalA[k].w * psi * psi;
+        rho += d;
+        phaseColor += d * (psi >= 0.0 ? uColorPos[k] : uColorNeg[k]);
+      }
+      if (rho > 1e-7) {
+        float a = 1.0 - exp(-rho * uDensity * dt);
+        color += (1.0 - alpha) * a * transfer(rho, phaseColor / rho);
+        alpha += (1.0 - alpha) * a;
+        if (alpha > 0.98) break;
+      }
+      t += dt;
+    }
+    gl_FragColor = vec4(color, alpha);
+  }
+`;
+
+function fillArray(length, create) {
+  return Array.from({ length }, create);
+}
+
+// orbitals: [{ config, weight }] where config is a mesh's userData.orbitalConfig.
+// Orbitals past MAX_VOLUME_ORBITALS are dropped; check volume.userData.truncated.
+export function createDensityVolume({ orbitals = [], density = 12, transfer = 'phase', steps = 96 } = {}) {
+  const used = orbitals.filter((item) => item.config?.principalN).slice(0, MAX_VOLUME_ORBITALS);
+  const encoded = used.map((item) => encodeOrbitalForShader(item.config, item.weight ?? 1));
+  const halfSize = encoded.reduce((max, item) => Math.max(max, item.extent), 0.5);
+
+  const orbitalA = fillArray(MAX_VOLUME_ORBITALS, () => new THREE.Vector4());
+  const orbitalB = fillArray(MAX_VOLUME_ORBITALS, () => new THREE.Vector4(0, 1, 1, 0));
+  const colorPos = fillArray(MAX_VOLUME_ORBITALS, () => new THREE.Color());
+  const colorNeg = fillArray(MAX_VOLUME_ORBITALS, () => new THREE.Color());
+  encoded.forEach((item, idx) => {
+    // |psi|^2 is per cubic Bohr radius; convert to per cubic scene unit.
+    item.a.w /= item.scale ** 3;
+    orbitalA[idx].copy(item.a);
+    orbitalB[idx].copy(item.b);
+    colorPos[idx].copy(used[idx].config.colorPos ?? new THREE.Color(0xff8ec7));
+    colorNeg[idx].copy(used[idx].config.colorNeg ?? new THREE.Color(0x7fbaff));
+  });
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uCount: { value: encoded.length },
+      uOrbitalA: { value: orbitalA },
+      uOrbitalB: { value: orbitalB },
+      uColorPos: { value: colorPos },
+      uColorNeg: { value: colorNeg },
+      uHalfSize: { value: halfSize },
+      uDensity: { value: density },
+      uTransfer: { value: VOLUME_TRANSFERS[transfer] ?? 0 },
+      uSteps: { value: Math.min(MAX_STEPS, steps) },
+      uUseDepth: { value: false },
+      uDepth: { value: null },
+      uResolution: { value: new THREE.Vector2(1, 1) },
+      uNear: { value: 0.1 },
+      uFar: { value: 1000 },
+    },
+    vertexShader,
+    fragmentShader,
+    side: THREE.BackSide,
+    transparent: true,
+    premultipliedAlpha: true,
+    depthTest: false,
+    depthWrite: false,
+  });
+
+  const volume = new THREE.Mesh(new THREE.BoxGeometry(2 * halfSize, 2 * halfSize, 2 * halfSize), material);
+  volume.name = 'density-volume';
+  volume.renderOrder = 20; // after the transparent orbital meshes
+  volume.raycast = () => {};
+  volume.userData = {
+    type: 'volume',
+    orbitalCount: encoded.length,
+    truncated: orbitals.length > used.length,
+  };
+  return volume;
+}
+
+export function setVolumeOptions(volume, { density, transfer, steps } = {}) {
+  const uniforms = volume?.material?.uniforms;
+  if (!uniforms) return;
+  if (density !== undefined) uniforms.uDensity.value = density;
+  if (transfer !== undefined) uniforms.uTransfer.value = VOLUME_TRANSFERS[transfer] ?? 0;
+  if (steps !== undefined) uniforms.uSteps.value = Math.min(MAX_STEPS, steps);
+}
+
+export function disposeDensityVolume(volume) {
+  if (!volume) return;
+  volume.removeFromParent();
+  volume.geometry.dispose();
+  volume.material.dispose();
+}
+
+// Depth prepass so rays stop at opaque geometry. render() hides the volume, draws the
+// scene's depth, then points the volume's uniforms at the result.
+export function createVolumeDepthPass(renderer) {
+  const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+  const target = new THREE.WebGLRenderTarget(size.x, size.y, {
+    depthTexture: new THREE.DepthTexture(size.x, size.y),
+  });
+
+  return {
+    target,
+    resize() {
+      renderer.getDrawingBufferSize(size);
+      target.setSize(size.x, size.y);
+    },
+    render(scene, camera, volume) {
+      if (!volume) return;
+      const uniforms = volume.material.uniforms;
+      const previousTarget = renderer.getRenderTarget();
+      volume.visible = false;
+      renderer.setRenderTarget(target);
+      renderer.clear();
+      renderer.render(scene, camera);
+      renderer.setRenderTarget(previousTarget);
+      volume.visible = true;
+      uniforms.uUseDepth.value = true;
+      uniforms.uDepth.value = target.depthTexture;
+      uniforms.uResolution.value.set(target.width, target.height);
+      uniforms.uNear.value = camera.near;
+      uniforms.uFar.value = camera.far;
+    },
+    dispose() {
+      target.depthTexture?.dispose();
+      target.dispose();
+    },
+  };
+}
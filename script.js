@@ -2,9 +2,60 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { initMovement, updateMovement } from './movement.js';
-import { createElementModel } from './atom_spdf.js';
-import { ELEMENTS, ELEMENTS_BY_SYMBOL } from './data/elements.js';
-import { buildElectronConfiguration, formatElectronConfiguration, computeValenceElectrons } from './electron_config.js';
+import { createElementModel, createOrbitalExplorerModel, createSuperpositionModel } from './atom_spdf.js';
+import { createAufbauPlayer } from './aufbau_player.js';
+import { updatePointClouds } from './point_cloud.js';
+import { createHybridGroup, listAvailableHybrids, HYBRID_SETS } from './hybrids.js';
+import { sampleCrossSection, estimateCrossSectionPeak, paintCrossSection } from './cross_section.js';
+import { buildRadialCurves, createRadialPlot } from './radial_plot.js';
+import { summarizeOrbitalProbabilities } from './probability.js';
+import { updateSuperposition, hydrogenicEnergy, superpositionPeriod } from './superposition.js';
+import { acquireEdgesGeometry, setOrbitalMeshWorkerPool, updateOrbitalLOD, whenOrbitalGeometryReady } from './orbitals.js';
+import { acquireMaterial, detachSharedMaterial, disposeObject } from './geometry_cache.js';
+import { createMeshWorkerPool } from './mesh_worker_pool.js';
+import { EXPORT_FORMATS, exportOrbitalModel } from './model_export.js';
+import {
+	COORDINATE_CONVENTIONS,
+	DEFAULT_COORDINATE_CONVENTION,
+	ORBITAL_FRAME_AXES,
+	applyCoordinateConvention,
+	getSceneAxis,
+	toOrbitalFrame,
+} from './coordinates.js';
+import {
+	createDensityVolume,
+	setVolumeOptions,
+	disposeDensityVolume,
+	createVolumeDepthPass,
+	MAX_VOLUME_ORBITALS,
+} from './raymarch_overlay.js';
+import { ELEMENTS, ELEMENTS_BY_SYMBOL, ELEMENTS_BY_NUMBER } from './data/elements.js';
+import {
+	buildElectronConfiguration,
+	formatElectronConfiguration,
+	formatCondensedConfiguration,
+	describeMagnetism,
+	partitionElectrons,
+	listQuantumNumbers,
+	parseElectronConfiguration,
+	moveElectrons,
+	countElectrons,
+	isSameConfiguration,
+	listSubshells,
+	getReferenceConfiguration,
+	buildAufbauSequence,
+	buildElementSequence,
+	mergeConfigurations,
+	isChargeAllowed,
+	formatIonCharge,
+	getVariantMl,
+	FAMILY_VARIANTS,
+	COMPLEX_FAMILY_VARIANTS,
+} from './electron_config.js';
+import { HARMONIC_LETTERS, harmonicNodes } from './spherical_harmonics.js';
+import { findRadialNodes } from './radial.js';
+import { computeSlaterShielding } from './slater.js';
+import { computeGroundTermSymbol, listTermSymbols, formatTermSymbol } from './term_symbols.js';
 
 // --- Renderer ---
 const renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -50,14 +101,91 @@ const elementNameEl = document.getElementById('element-name');
 const elementMetaEl = document.getElementById('element-meta');
 const elementConfigEl = document.getElementById('element-config');
 const elementExtraEl = document.getElementById('element-extra');
+const elementStateBadge = document.getElementById('element-state-badge');
+const elementPredictedBadge = document.getElementById('element-predicted-badge');
+const elementTermEl = document.getElementById('element-term');
+const elementTermsEl = document.getElementById('element-terms');
+const configFromSelect = document.getElementById('config-from');
+const configToSelect = document.getElementById('config-to');
+const configMoveButton = document.getElementById('config-move');
+const configInput = document.getElementById('config-input');
+const configApplyButton = document.getElementById('config-apply');
+const configResetButton = document.getElementById('config-reset');
+const configErrorEl = document.getElementById('config-error');
+const aufbauModeSelect = document.getElementById('aufbau-mode');
+const aufbauPlayButton = document.getElementById('aufbau-play');
+const aufbauPrevButton = document.getElementById('aufbau-prev');
+const aufbauNextButton = document.getElementById('aufbau-next');
+const aufbauStopButton = document.getElementById('aufbau-stop');
+const aufbauScrub = document.getElementById('aufbau-scrub');
+const aufbauStatusEl = document.getElementById('aufbau-status');
+const aufbauNoteEl = document.getElementById('aufbau-note');
 const planeControlsEl = document.getElementById('plane-controls');
 const nodeToggle = document.getElementById('node-toggle');
-
+const renderModeInputs = Array.from(document.querySelectorAll('input[name="render-mode"]'));
+const renderStatusEl = document.getElementById('render-status');
+const isoFractionInput = document.getElementById('iso-fraction');
+const isoFractionValue = document.getElementById('iso-fraction-value');
+const pointCountInput = document.getElementById('point-count');
+const pointCountValue = document.getElementById('point-count-value');
+const pointSizeInput = document.getElementById('point-size');
+const pointModeSelect = document.getElementById('point-mode');
+const quantumTableBody = document.getElementById('quantum-table-body');
+const volumeToggle = document.getElementById('volume-toggle');
+const volumeSubshellsEl = document.getElementById('volume-subshells');
+const volumeDensityInput = document.getElementById('volume-density');
+const volumeTransferSelect = document.getElementById('volume-transfer');
+const volumeStepsInput = document.getElementById('volume-steps');
+const volumeStatusEl = document.getElementById('volume-status');
+const hybridSelect = document.getElementById('hybrid-type');
+const hybridStatusEl = document.getElementById('hybrid-status');
+const explorerNSelect = document.getElementById('explorer-n');
+const explorerLSelect = document.getElementById('explorer-l');
+const explorerVariantSelect = document.getElementById('explorer-variant');
+const explorerZSelect = document.getElementById('explorer-z');
+const explorerShowButton = document.getElementById('explorer-show');
+const explorerBackButton = document.getElementById('explorer-back');
+const explorerStatusEl = document.getElementById('explorer-status');
+const superpositionASelect = document.getElementById('superposition-a');
+const superpositionBSelect = document.getElementById('superposition-b');
+const superpositionCaInput = document.getElementById('superposition-ca');
+const superpositionCbInput = document.getElementById('superposition-cb');
+const superpositionSpeedInput = document.getElementById('superposition-speed');
+const superpositionSpeedValue = document.getElementById('superposition-speed-value');
+const superpositionShowButton = document.getElementById('superposition-show');
+const superpositionBackButton = document.getElementById('superposition-back');
+const superpositionStatusEl = document.getElementById('superposition-status');
+const radialPanel = document.getElementById('radial-panel');
+const radialQuantitySelect = document.getElementById('radial-quantity');
+const radialLayoutSelect = document.getElementById('radial-layout');
+const radialLogInput = document.getElementById('radial-log');
+const radialPlotCanvas = document.getElementById('radial-plot');
+const radialStatusEl = document.getElementById('radial-status');
+const probabilityTargetEl = document.getElementById('probability-target');
+const probabilityRadiusInput = document.getElementById('probability-radius');
+const probabilityConeAxisSelect = document.getElementById('probability-cone-axis');
+const probabilityConeAngleInput = document.getElementById('probability-cone-angle');
+const probabilityOctantSelect = document.getElementById('probability-octant');
+const probabilityResultsEl = document.getElementById('probability-results');
+const exportFormatSelect = document.getElementById('export-format');
+const exportScopeSelect = document.getElementById('export-scope');
+const exportSizeInput = document.getElementById('export-size');
+const exportWatertightInput = document.getElementById('export-watertight');
+const exportNucleusInput = document.getElementById('export-nucleus');
+const exportRunButton = document.getElementById('export-run');
+const exportStatusEl = document.getElementById('export-status');
+
+const axisConventionSelect = document.getElementById('axis-convention');
 const axisPlaneToggles = planeControlsEl ? Array.from(planeControlsEl.querySelectorAll('input[data-axis]')) : [];
+const sectionModeSelect = document.getElementById('section-mode');
+const sectionContoursInput = document.getElementById('section-contours');
+const sectionOffsetInput = document.getElementById('section-offset');
+const sectionOffsetValue = document.getElementById('section-offset-value');
 
 const periodicOverlay = document.getElementById('periodic-overlay');
 const periodicGridInner = document.getElementById('periodic-grid-inner');
 const periodicClose = document.getElementById('periodic-close');
+const periodicChargeSelect = document.getElementById('periodic-charge');
 
 function updateInspectorToggleVisual(collapsed) {
 	if (!inspectorEl || !inspectorToggle) return;
@@ -144,8 +272,21 @@ function initInspectorDrag() {
 initInspectorCollapsible();
 initInspectorDrag();
 
+// Orbital meshes are built in workers; models show coarse placeholders until they arrive.
+// Worker trouble only costs speed or detail; say so under the rendering controls.
+function showRenderStatus(message) {
+	if (renderStatusEl) renderStatusEl.textContent = message;
+}
+
+setOrbitalMeshWorkerPool(createMeshWorkerPool({
+	onFallback: (reason) => showRenderStatus(`Mesh workers unavailable (${reason}); building meshes on the main thread.`),
+}), {
+	onError: (error, mesh) => showRenderStatus(`Kept a coarse ${mesh.userData.orbital?.variant ?? 'orbital'} mesh: ${error.message}`),
+});
+
 // --- Selection (raycast) to toggle orbitals on/off ---
 const raycaster = new THREE.Raycaster();
+raycaster.params.Points.threshold = 0.04;
 const pointer = new THREE.Vector2();
 
 const selectables = [];
@@ -154,10 +295,41 @@ let activePeriodicCell = null;
 let currentModel = null;
 let currentElement = null;
 let currentConfig = null;
+let currentCharge = 0;
 let currentHighlight = null;
 let nodesEnabled = false;
+let aufbauPlayer = null;
+const orbitalRenderOptions = {
+	renderMode: 'lobes',
+	isoFraction: 0.9,
+	pointCount: 4000,
+	pointSize: 0.035,
+	pointMode: 'static',
+};
+const volumeOptions = { enabled: false, density: 12, transfer: 'phase', steps: 96 };
+const subshellBases = {}; // subshell key -> 'complex' when shown as ml eigenfunctions
+let volumeSubshells = null; // Set of subshell keys, or null for the valence subshells
+let densityVolume = null;
+let hybridType = 'none';
+let sceneMode = 'element'; // what currentModel shows: 'element' | 'explorer' | 'superposition'
+const superpositionState = { a: '1:s:s', b: '2:p:pz', ca: 1, cb: 1, speed: 4 };
+const crossSectionOptions = { mode: 'off', contours: true, offset: 0 };
+let coordinateConvention = DEFAULT_COORDINATE_CONVENTION; // see coordinates.js
+let crossSectionDirty = false;
+let probabilityTarget = null; // orbital mesh whose probabilities the inspector shows
+const explorerState = { n: 5, l: 4, variant: 'gz4', zEff: 1 };
+let volumeDepthPass = null;
 
 const AXIS_PLANE_SIZE = 14;
+const CROSS_SECTION_RESOLUTION = 160;
+const CROSS_SECTION_PEAK_EXTENT = 4; // half-width of the cube searched for the colormap scale
+const MAX_LISTED_TERMS = 12;
+const SUBSHELL_ROLES = [
+	{ role: 'core', label: 'Core' },
+	{ role: 'semiCore', label: 'Semi-core' },
+	{ role: 'valence', label: 'Valence' },
+];
+const ION_CHARGES = [-3, -2, -1, 0, 1, 2, 3, 4, 5, 6, 7];
 
 function buildAxisPlane(axis, size = AXIS_PLANE_SIZE) {
 	const colors = { x: 0xff6666, y: 0x66ff99, z: 0x6699ff };
@@ -170,19 +342,9 @@ function buildAxisPlane(axis, size = AXIS_PLANE_SIZE) {
 		depthTest: false,
 	});
 	const plane = new THREE.Mesh(new THREE.PlaneGeometry(size, size, 1, 1), material);
-	switch (axis) {
-		case 'x':
-			plane.rotation.y = Math.PI / 2;
-			break;
-		case 'y':
-			plane.rotation.x = Math.PI / 2;
-			break;
-		default:
-			break;
-	}
 	plane.renderOrder = -5;
 	plane.visible = false;
-	plane.userData = { type: 'axis-plane', axis };
+	plane.userData = { type: 'axis-plane', axis, color: material.color.getHex() };
 	return plane;
 }
 
@@ -196,7 +358,7 @@ Object.values(axisPlanes).forEach((mesh) => {
 	scene.add(mesh);
 });
 
-function buildAxisLabel(axis, planeSize = AXIS_PLANE_SIZE) {
+function buildAxisLabel(axis) {
 	const size = 256;
 	const canvas = document.createElement('canvas');
 	canvas.width = size;
@@ -217,18 +379,6 @@ function buildAxisLabel(axis, planeSize = AXIS_PLANE_SIZE) {
 	const material = new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false });
 	const sprite = new THREE.Sprite(material);
 	sprite.scale.set(1.4, 1.4, 1.4);
-	const offset = planeSize / 2 + 0.6;
-	switch (axis) {
-		case 'x':
-			sprite.position.set(offset, 0.0, 0.0);
-			break;
-		case 'y':
-			sprite.position.set(0.0, offset, 0.0);
-			break;
-		default:
-			sprite.position.set(0.0, 0.0, offset);
-			break;
-	}
 	sprite.visible = false;
 	sprite.renderOrder = -4;
 	sprite.userData = { type: 'axis-label', axis };
@@ -245,6 +395,21 @@ Object.values(axisLabels).forEach((sprite) => {
 	if (sprite) scene.add(sprite);
 });
 
+// Planes and labels are named after the chemistry axes; the convention decides where those
+// point in the scene. The slice offset moves each plane along its own axis.
+function placeAxisGuides() {
+	const direction = new THREE.Vector3();
+	['x', 'y', 'z'].forEach((axis) => {
+		getSceneAxis(coordinateConvention, axis, direction);
+		const plane = axisPlanes[axis];
+		plane.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), direction);
+		plane.position.copy(direction).multiplyScalar(crossSectionOptions.offset);
+		axisLabels[axis]?.position.copy(direction).multiplyScalar(AXIS_PLANE_SIZE / 2 + 0.6);
+	});
+}
+
+placeAxisGuides();
+
 axisPlaneToggles.forEach((input) => {
 	const axis = input.dataset.axis;
 	if (!axis) return;
@@ -254,9 +419,127 @@ axisPlaneToggles.forEach((input) => {
 		if (plane) plane.visible = input.checked;
 		const label = axisLabels[axis];
 		if (label) label.visible = input.checked;
+		markCrossSectionsDirty();
 	});
 });
 
+if (axisConventionSelect) {
+	Object.entries(COORDINATE_CONVENTIONS).forEach(([value, convention]) => {
+		const option = document.createElement('option');
+		option.value = value;
+		option.textContent = convention.label;
+		axisConventionSelect.appendChild(option);
+	});
+	axisConventionSelect.value = coordinateConvention;
+	axisConventionSelect.addEventListener('change', () => {
+		coordinateConvention = axisConventionSelect.value;
+		applyCoordinateConvention(currentModel, coordinateConvention);
+		applyCoordinateConvention(densityVolume, coordinateConvention);
+		placeAxisGuides();
+		markCrossSectionsDirty();
+	});
+}
+
+function markCrossSectionsDirty() {
+	crossSectionDirty = true;
+}
+
+// Orbitals the user currently sees: visible up the whole chain and not clicked off.
+function listShownOrbitals() {
+	return selectables.filter((obj) => {
+		if (obj.userData.disabled || !obj.userData.orbitalConfig?.principalN) return false;
+		for (let cur = obj; cur; cur = cur.parent) {
+			if (!cur.visible) return false;
+		}
+		return true;
+	});
+}
+
+function getPlaneSection(plane) {
+	if (!plane.userData.section) {
+		const canvas = document.createElement('canvas');
+		const texture = new THREE.CanvasTexture(canvas);
+		texture.colorSpace = THREE.SRGBColorSpace;
+		plane.userData.section = { canvas, texture };
+	}
+	return plane.userData.section;
+}
+
+function setPlainPlane(plane) {
+	const material = plane.material;
+	if (!material.map) return;
+	material.map = null;
+	material.color.setHex(plane.userData.color);
+	material.opacity = 0.14;
+	material.needsUpdate = true;
+}
+
+// Repaints the visible axis planes with psi or |psi|^2 of the shown orbitals. Density is
+// weighted by occupancy unless nothing shown is occupied (e.g. the orbital explorer).
+function refreshCrossSections() {
+	crossSectionDirty = false;
+	const planes = Object.values(axisPlanes);
+	placeAxisGuides();
+	const { mode, contours } = crossSectionOptions;
+	if (mode === 'off' || !currentModel) {
+		planes.forEach(setPlainPlane);
+		return;
+	}
+	const visiblePlanes = planes.filter((plane) => plane.visible);
+	if (!visiblePlanes.length) return;
+	const shown = listShownOrbitals();
+	const occupied = shown.some((mesh) => (mesh.userData.occupancy?.electrons ?? 0) > 0);
+	const orbitals = shown.map((mesh) => ({
+		config: mesh.userData.orbitalConfig,
+		weight: occupied ? mesh.userData.occupancy?.electrons ?? 0 : 1,
+	}));
+	const peak = estimateCrossSectionPeak(orbitals, { mode, halfSize: CROSS_SECTION_PEAK_EXTENT });
+	currentModel.updateMatrixWorld();
+	const toModel = currentModel.matrixWorld.clone().invert();
+	visiblePlanes.forEach((plane) => {
+		plane.updateMatrixWorld();
+		const values = sampleCrossSection(orbitals, {
+			mode,
+			size: AXIS_PLANE_SIZE,
+			resolution: CROSS_SECTION_RESOLUTION,
+			matrix: toModel.clone().multiply(plane.matrixWorld),
+		});
+		const section = getPlaneSection(plane);
+		paintCrossSection(section.canvas, values, { resolution: CROSS_SECTION_RESOLUTION, mode, peak, contours });
+		section.texture.needsUpdate = true;
+		const material = plane.material;
+		material.map = section.texture;
+		material.color.setHex(0xffffff);
+		material.opacity = 0.95;
+		material.needsUpdate = true;
+	});
+}
+
+if (sectionModeSelect) {
+	sectionModeSelect.value = crossSectionOptions.mode;
+	sectionModeSelect.addEventListener('change', () => {
+		crossSectionOptions.mode = sectionModeSelect.value;
+		markCrossSectionsDirty();
+	});
+}
+
+if (sectionContoursInput) {
+	sectionContoursInput.checked = crossSectionOptions.contours;
+	sectionContoursInput.addEventListener('change', () => {
+		crossSectionOptions.contours = sectionContoursInput.checked;
+		markCrossSectionsDirty();
+	});
+}
+
+if (sectionOffsetInput) {
+	sectionOffsetInput.value = String(crossSectionOptions.offset);
+	sectionOffsetInput.addEventListener('input', () => {
+		crossSectionOptions.offset = Number(sectionOffsetInput.value);
+		if (sectionOffsetValue) sectionOffsetValue.textContent = crossSectionOptions.offset.toFixed(2);
+		markCrossSectionsDirty();
+	});
+}
+
 function applyNodeVisibility(rootGroup, enabled) {
 	if (!rootGroup) return;
 	rootGroup.traverse((obj) => {
@@ -273,6 +556,428 @@ if (nodeToggle) {
 	});
 }
 
+function refreshCurrentModel() {
+	if (sceneMode === 'explorer') showExplorerOrbital();
+	else if (sceneMode === 'superposition') showSuperposition();
+	else if (currentElement) setElement(currentElement, currentCharge, currentConfig);
+}
+
+function updateIsoFractionLabel() {
+	if (!isoFractionInput || !isoFractionValue) return;
+	isoFractionValue.textContent = `${isoFractionInput.value}%`;
+	isoFractionInput.disabled = orbitalRenderOptions.renderMode !== 'isosurface';
+}
+
+function updatePointControls() {
+	const disabled = orbitalRenderOptions.renderMode !== 'points';
+	[pointCountInput, pointSizeInput, pointModeSelect].forEach((el) => {
+		if (el) el.disabled = disabled;
+	});
+	if (pointCountValue && pointCountInput) {
+		pointCountValue.textContent = Number(pointCountInput.value).toLocaleString();
+	}
+}
+
+function applyPointSize(rootGroup, size) {
+	if (!rootGroup) return;
+	rootGroup.traverse((obj) => {
+		if (obj.isPoints && obj.material?.isPointsMaterial) {
+			obj.material.size = obj.userData?.isOutline ? size * 1.6 : size;
+		}
+	});
+}
+
+renderModeInputs.forEach((input) => {
+	input.checked = input.value === orbitalRenderOptions.renderMode;
+	input.addEventListener('change', () => {
+		if (!input.checked) return;
+		orbitalRenderOptions.renderMode = input.value;
+		updateIsoFractionLabel();
+		updatePointControls();
+		refreshCurrentModel();
+	});
+});
+
+if (isoFractionInput) {
+	isoFractionInput.value = String(Math.round(orbitalRenderOptions.isoFraction * 100));
+	isoFractionInput.addEventListener('input', updateIsoFractionLabel);
+	isoFractionInput.addEventListener('change', () => {
+		orbitalRenderOptions.isoFraction = Number(isoFractionInput.value) / 100;
+		if (orbitalRenderOptions.renderMode === 'isosurface') refreshCurrentModel();
+	});
+	updateIsoFractionLabel();
+}
+
+if (pointCountInput) {
+	pointCountInput.value = String(orbitalRenderOptions.pointCount);
+	pointCountInput.addEventListener('input', updatePointControls);
+	pointCountInput.addEventListener('change', () => {
+		orbitalRenderOptions.pointCount = Number(pointCountInput.value);
+		if (orbitalRenderOptions.renderMode === 'points') refreshCurrentModel();
+	});
+}
+
+if (pointSizeInput) {
+	pointSizeInput.value = String(Math.round(orbitalRenderOptions.pointSize * 1000));
+	pointSizeInput.addEventListener('input', () => {
+		orbitalRenderOptions.pointSize = Number(pointSizeInput.value) / 1000;
+		applyPointSize(currentModel, orbitalRenderOptions.pointSize);
+	});
+}
+
+if (pointModeSelect) {
+	pointModeSelect.value = orbitalRenderOptions.pointMode;
+	pointModeSelect.addEventListener('change', () => {
+		orbitalRenderOptions.pointMode = pointModeSelect.value;
+		if (orbitalRenderOptions.renderMode === 'points') refreshCurrentModel();
+	});
+}
+updatePointControls();
+
+function getVolumeSubshellKeys(rootGroup) {
+	const subshells = rootGroup ? rootGroup.children.filter((child) => child.userData?.type === 'subshell') : [];
+	if (volumeSubshells) return subshells.filter((sg) => volumeSubshells.has(sg.name)).map((sg) => sg.name);
+	return subshells.filter((sg) => sg.userData.role === 'valence').map((sg) => sg.name);
+}
+
+function buildVolumeSubshellList(rootGroup) {
+	if (!volumeSubshellsEl) return;
+	volumeSubshellsEl.innerHTML = '';
+	const selected = new Set(getVolumeSubshellKeys(rootGroup));
+	rootGroup.children
+		.filter((child) => child.userData?.type === 'subshell')
+		.forEach((sg) => {
+			const label = document.createElement('label');
+			label.className = 'volume-subshell';
+			const input = document.createElement('input');
+			input.type = 'checkbox';
+			input.value = sg.name;
+			input.checked = selected.has(sg.name);
+			input.addEventListener('change', () => {
+				const keys = Array.from(volumeSubshellsEl.querySelectorAll('input:checked')).map((el) => el.value);
+				volumeSubshells = new Set(keys);
+				refreshDensityVolume();
+			});
+			const text = document.createElement('span');
+			text.textContent = sg.name;
+			label.append(input, text);
+			volumeSubshellsEl.appendChild(label);
+		});
+}
+
+function refreshDensityVolume() {
+	disposeDensityVolume(densityVolume);
+	densityVolume = null;
+	if (!volumeOptions.enabled || !currentModel) {
+		if (volumeStatusEl) volumeStatusEl.textContent = '';
+		return;
+	}
+	const keys = new Set(getVolumeSubshellKeys(currentModel));
+	const orbitals = [];
+	currentModel.children.forEach((sg) => {
+		if (!keys.has(sg.name)) return;
+		sg.children.forEach((mesh) => {
+			const electrons = mesh.userData?.occupancy?.electrons ?? 0;
+			if (mesh.userData?.orbitalConfig && electrons > 0) {
+				orbitals.push({ config: mesh.userData.orbitalConfig, weight: electrons });
+			}
+		});
+	});
+	if (!orbitals.length) {
+		if (volumeStatusEl) volumeStatusEl.textContent = 'Select an occupied subshell.';
+		return;
+	}
+	densityVolume = applyCoordinateConvention(createDensityVolume({ orbitals, ...volumeOptions }), coordinateConvention);
+	if (!volumeDepthPass) volumeDepthPass = createVolumeDepthPass(renderer);
+	scene.add(densityVolume);
+	if (volumeStatusEl) {
+		const { orbitalCount, truncated } = densityVolume.userData;
+		volumeStatusEl.textContent = truncated
+			? `Showing the first ${MAX_VOLUME_ORBITALS} of ${orbitals.length} orbitals.`
+			: `${orbitalCount} orbital${orbitalCount === 1 ? '' : 's'} in the volume.`;
+	}
+}
+
+if (volumeToggle) {
+	volumeToggle.checked = volumeOptions.enabled;
+	volumeToggle.addEventListener('change', () => {
+		volumeOptions.enabled = volumeToggle.checked;
+		refreshDensityVolume();
+	});
+}
+
+if (volumeDensityInput) {
+	volumeDensityInput.value = String(volumeOptions.density);
+	volumeDensityInput.addEventListener('input', () => {
+		volumeOptions.density = Number(volumeDensityInput.value);
+		setVolumeOptions(densityVolume, { density: volumeOptions.density });
+	});
+}
+
+if (volumeTransferSelect) {
+	volumeTransferSelect.value = volumeOptions.transfer;
+	volumeTransferSelect.addEventListener('change', () => {
+		volumeOptions.transfer = volumeTransferSelect.value;
+		setVolumeOptions(densityVolume, { transfer: volumeOptions.transfer });
+	});
+}
+
+if (volumeStepsInput) {
+	volumeStepsInput.value = String(volumeOptions.steps);
+	volumeStepsInput.addEventListener('input', () => {
+		volumeOptions.steps = Number(volumeStepsInput.value);
+		setVolumeOptions(densityVolume, { steps: volumeOptions.steps });
+	});
+}
+
+function getValenceShell(configuration) {
+	return configuration.reduce((max, entry) => (entry.electrons > 0 ? Math.max(max, entry.n) : max), 0);
+}
+
+function updateHybridPicker(configuration) {
+	if (!hybridSelect) return;
+	const available = new Set(listAvailableHybrids(getValenceShell(configuration)));
+	if (!available.has(hybridType)) hybridType = 'none';
+	Array.from(hybridSelect.options).forEach((option) => {
+		option.disabled = option.value !== 'none' && !available.has(option.value);
+	});
+	hybridSelect.value = hybridType;
+}
+
+// Replaces the valence s/p(/d) subshell groups of currentModel with the chosen hybrid set.
+function applyHybrids(configuration) {
+	if (!currentModel) return;
+	if (hybridStatusEl) hybridStatusEl.textContent = '';
+	if (hybridType === 'none') return;
+	const n = getValenceShell(configuration);
+	const set = HYBRID_SETS[hybridType];
+	const replaced = set.uses.map((l) => `${n}${l}`);
+	const template = currentModel.children.find((child) => child.name === `${n}p`)?.children[0]
+		?? currentModel.children.find((child) => child.name === `${n}s`)?.children[0];
+	const cfg = template?.userData?.orbitalConfig;
+	const group = createHybridGroup({
+		type: hybridType,
+		baseRadius: cfg?.baseRadius,
+		colors: cfg ? { pos: cfg.colorPos, neg: cfg.colorNeg } : undefined,
+	});
+	currentModel.children.forEach((child) => {
+		if (child.userData?.type === 'subshell' && replaced.includes(child.name)) child.visible = false;
+	});
+	currentModel.add(group);
+	registerSelectables(currentModel);
+	markCrossSectionsDirty();
+	if (hybridStatusEl) {
+		hybridStatusEl.textContent = `${group.children.length} ${set.label} hybrids from ${replaced.join(' + ')}: ${set.geometry}, ${set.angle}`;
+	}
+}
+
+if (hybridSelect) {
+	hybridSelect.addEventListener('change', () => {
+		hybridType = hybridSelect.value;
+		refreshCurrentModel();
+	});
+}
+
+const EXPLORER_MAX_N = 8;
+const EXPLORER_MAX_L = 5; // up to h; radial.js has no letters past that
+
+function fillSelect(select, items) {
+	select.innerHTML = '';
+	items.forEach(({ value, label }) => {
+		const option = document.createElement('option');
+		option.value = String(value);
+		option.textContent = label;
+		select.appendChild(option);
+	});
+}
+
+function formatMl(ml) {
+	return ml > 0 ? `+${ml}` : String(ml);
+}
+
+// Real variants first, then the complex ml partners of the same l.
+function updateExplorerPickers() {
+	if (!explorerNSelect || !explorerLSelect || !explorerVariantSelect) return;
+	explorerState.l = Math.min(explorerState.l, explorerState.n - 1);
+	fillSelect(explorerLSelect, Array.from({ length: Math.min(explorerState.n, EXPLORER_MAX_L + 1) }, (_, l) => ({
+		value: l,
+		label: `${l} (${HARMONIC_LETTERS[l]})`,
+	})));
+	explorerLSelect.value = String(explorerState.l);
+	const letter = HARMONIC_LETTERS[explorerState.l];
+	const real = FAMILY_VARIANTS[letter].map((variant) => ({ value: variant, label: `${variant} (real)` }));
+	const complex = explorerState.l === 0 ? [] : COMPLEX_FAMILY_VARIANTS[letter].map((variant) => ({
+		value: variant,
+		label: `mₗ = ${formatMl(getVariantMl(variant))} (complex)`,
+	}));
+	fillSelect(explorerVariantSelect, [...real, ...complex]);
+	if (!FAMILY_VARIANTS[letter].includes(explorerState.variant) && !COMPLEX_FAMILY_VARIANTS[letter].includes(explorerState.variant)) {
+		explorerState.variant = FAMILY_VARIANTS[letter][0];
+	}
+	explorerVariantSelect.value = explorerState.variant;
+}
+
+function describeExplorerOrbital() {
+	const { n, l, variant, zEff } = explorerState;
+	const ml = getVariantMl(variant);
+	const complex = COMPLEX_FAMILY_VARIANTS[HARMONIC_LETTERS[l]].includes(variant) && l > 0;
+	const { coneCosines, equatorial, planeAngles } = harmonicNodes(l, ml);
+	const cones = coneCosines.length;
+	// Complex orbitals have |e^(i m phi)| = 1, so their vertical planes disappear.
+	const planes = (equatorial ? 1 : 0) + (complex ? 0 : planeAngles.length);
+	const radial = findRadialNodes(n, l, zEff).length;
+	const angular = complex ? l - Math.abs(ml) : l;
+	return `${n}${HARMONIC_LETTERS[l]} ${variant}: ${radial} radial + ${angular} angular nodes (${planes} plane${planes === 1 ? '' : 's'}, ${cones} double cone${cones === 1 ? '' : 's'})`;
+}
+
+function setSceneMode(mode) {
+	sceneMode = mode;
+	if (explorerBackButton) explorerBackButton.disabled = mode !== 'explorer';
+	if (superpositionBackButton) superpositionBackButton.disabled = mode !== 'superposition';
+	if (mode !== 'explorer' && explorerStatusEl) explorerStatusEl.textContent = '';
+	if (mode !== 'superposition' && superpositionStatusEl) superpositionStatusEl.textContent = '';
+}
+
+function showExplorerOrbital() {
+	clearAufbau();
+	setSceneMode('explorer');
+	const { n, l, variant, zEff } = explorerState;
+	showModel(createOrbitalExplorerModel({
+		n,
+		family: HARMONIC_LETTERS[l],
+		variant,
+		zEff,
+		orbitalOptions: orbitalRenderOptions,
+	}));
+	buildInspector(null, null);
+	if (explorerStatusEl) explorerStatusEl.textContent = describeExplorerOrbital();
+}
+
+function initExplorerControls() {
+	if (!explorerNSelect || !explorerLSelect || !explorerVariantSelect) return;
+	fillSelect(explorerNSelect, Array.from({ length: EXPLORER_MAX_N }, (_, i) => ({ value: i + 1, label: String(i + 1) })));
+	explorerNSelect.value = String(explorerState.n);
+	if (explorerZSelect) {
+		fillSelect(explorerZSelect, [1, 2, 3, 4, 6, 8].map((z) => ({ value: z, label: String(z) })));
+		explorerZSelect.value = String(explorerState.zEff);
+		explorerZSelect.addEventListener('change', () => {
+			explorerState.zEff = Number(explorerZSelect.value);
+			if (sceneMode === 'explorer') showExplorerOrbital();
+		});
+	}
+	updateExplorerPickers();
+	explorerNSelect.addEventListener('change', () => {
+		explorerState.n = Number(explorerNSelect.value);
+		updateExplorerPickers();
+		if (sceneMode === 'explorer') showExplorerOrbital();
+	});
+	explorerLSelect.addEventListener('change', () => {
+		explorerState.l = Number(explorerLSelect.value);
+		updateExplorerPickers();
+		if (sceneMode === 'explorer') showExplorerOrbital();
+	});
+	explorerVariantSelect.addEventListener('change', () => {
+		explorerState.variant = explorerVariantSelect.value;
+		if (sceneMode === 'explorer') showExplorerOrbital();
+	});
+	if (explorerShowButton) explorerShowButton.addEventListener('click', showExplorerOrbital);
+	if (explorerBackButton) {
+		explorerBackButton.addEventListener('click', () => {
+			setSceneMode('element');
+			refreshCurrentModel();
+		});
+	}
+}
+
+const SUPERPOSITION_MAX_N = 4;
+const HARTREE_EV = 27.211386;
+
+function parseSuperpositionOrbital(value) {
+	const [n, family, variant] = value.split(':');
+	return { n: Number(n), family, variant };
+}
+
+function getSuperpositionComponents() {
+	return [
+		{ ...parseSuperpositionOrbital(superpositionState.a), coefficient: superpositionState.ca },
+		{ ...parseSuperpositionOrbital(superpositionState.b), coefficient: superpositionState.cb },
+	];
+}
+
+function describeSuperposition(components) {
+	const used = components.filter((c) => c.coefficient > 0);
+	const names = used.map((c) => `${c.coefficient.toFixed(2)}·${c.n}${c.variant}`).join(' + ');
+	if (used.length < 2) return `${names}: a single stationary state.`;
+	const period = superpositionPeriod(used);
+	if (!Number.isFinite(period)) return `${names}: same energy, so the density is stationary.`;
+	const gap = Math.abs(hydrogenicEnergy(used[0].n) - hydrogenicEnergy(used[1].n)) * HARTREE_EV;
+	const seconds = superpositionState.speed > 0 ? `${(period / superpositionState.speed).toFixed(1)} s on screen` : 'paused';
+	return `${names}: ΔE ${gap.toFixed(2)} eV (${(1239.84 / gap).toFixed(1)} nm), beat period ${period.toFixed(1)} a.u. (${seconds})`;
+}
+
+function showSuperposition() {
+	clearAufbau();
+	const components = getSuperpositionComponents();
+	if (!components.some((c) => c.coefficient > 0)) {
+		if (superpositionStatusEl) superpositionStatusEl.textContent = 'Give at least one orbital a non-zero coefficient.';
+		return;
+	}
+	setSceneMode('superposition');
+	showModel(createSuperpositionModel({ components, pointSize: orbitalRenderOptions.pointSize }));
+	buildInspector(null, null);
+	if (superpositionStatusEl) superpositionStatusEl.textContent = describeSuperposition(components);
+}
+
+function initSuperpositionControls() {
+	if (!superpositionASelect || !superpositionBSelect) return;
+	const options = [];
+	for (let n = 1; n <= SUPERPOSITION_MAX_N; n += 1) {
+		HARMONIC_LETTERS.slice(0, n).forEach((family) => {
+			FAMILY_VARIANTS[family].forEach((variant) => options.push({ value: `${n}:${family}:${variant}`, label: `${n}${variant}` }));
+		});
+	}
+	fillSelect(superpositionASelect, options);
+	fillSelect(superpositionBSelect, options);
+	superpositionASelect.value = superpositionState.a;
+	superpositionBSelect.value = superpositionState.b;
+	const rebuild = () => {
+		if (sceneMode === 'superposition') showSuperposition();
+	};
+	superpositionASelect.addEventListener('change', () => {
+		superpositionState.a = superpositionASelect.value;
+		rebuild();
+	});
+	superpositionBSelect.addEventListener('change', () => {
+		superpositionState.b = superpositionBSelect.value;
+		rebuild();
+	});
+	[[superpositionCaInput, 'ca'], [superpositionCbInput, 'cb']].forEach(([input, key]) => {
+		if (!input) return;
+		input.value = String(superpositionState[key]);
+		input.addEventListener('change', () => {
+			superpositionState[key] = Number(input.value);
+			rebuild();
+		});
+	});
+	if (superpositionSpeedInput) {
+		superpositionSpeedInput.value = String(superpositionState.speed);
+		superpositionSpeedInput.addEventListener('input', () => {
+			superpositionState.speed = Number(superpositionSpeedInput.value);
+			if (superpositionSpeedValue) superpositionSpeedValue.textContent = `${superpositionState.speed} a.u./s`;
+			if (sceneMode === 'superposition' && superpositionStatusEl) {
+				superpositionStatusEl.textContent = describeSuperposition(getSuperpositionComponents());
+			}
+		});
+	}
+	if (superpositionShowButton) superpositionShowButton.addEventListener('click', showSuperposition);
+	if (superpositionBackButton) {
+		superpositionBackButton.addEventListener('click', () => {
+			setSceneMode('element');
+			refreshCurrentModel();
+		});
+	}
+}
+
 function resetHoverState() {
 	if (!currentHighlight) return;
 	const outline = currentHighlight.userData?.outline;
@@ -284,23 +989,39 @@ function registerSelectables(rootGroup) {
 	selectables.length = 0;
 	if (!rootGroup) return;
 	rootGroup.traverse((obj) => {
-		if (obj.isMesh && obj.userData?.orbital) {
+		if ((obj.isMesh || obj.isPoints) && obj.userData?.orbital) {
 			selectables.push(obj);
 			obj.userData.disabled = false;
 			if (obj.userData?.outline) {
 				obj.userData.outline.visible = false;
+			} else if (obj.isPoints) {
+				// Point clouds have no edges; highlight with an enlarged white copy of the samples.
+				const outline = new THREE.Points(obj.geometry, new THREE.PointsMaterial({
+					color: 0xffffff,
+					size: obj.material.size * 1.6,
+					transparent: true,
+					opacity: 0.5,
+					depthTest: false,
+				}));
+				outline.visible = false;
+				outline.renderOrder = 10;
+				outline.raycast = () => {};
+				outline.userData.isOutline = true;
+				obj.add(outline);
+				obj.userData.outline = outline;
 			} else {
-				const edgeGeo = new THREE.EdgesGeometry(obj.geometry, 12);
-				const dashMat = new THREE.LineDashedMaterial({
+				// Shared with the mesh's own edge lines; orbitals.js swaps both when a worker mesh lands.
+				const edgeGeo = acquireEdgesGeometry(obj.geometry);
+				const dashMat = acquireMaterial('outline-dashed', () => new THREE.LineDashedMaterial({
 					color: 0xffffff,
 					dashSize: 0.08,
 					gapSize: 0.06,
 					transparent: true,
 					opacity: 0.9,
 					depthTest: false,
-				});
+				}));
 				const outline = new THREE.LineSegments(edgeGeo, dashMat);
-				outline.computeLineDistances();
+				if (!edgeGeo.getAttribute('lineDistance')) outline.computeLineDistances();
 				outline.visible = false;
 				outline.renderOrder = 10;
 				obj.add(outline);
@@ -319,17 +1040,75 @@ function resetSubshellVisibility() {
 		if (outline) outline.visible = false;
 	});
 	resetHoverState();
+	markCrossSectionsDirty();
+}
+
+function formatSpinArrows(orbital) {
+	return `${orbital.up ? '\u2191' : ''}${orbital.down ? '\u2193' : ''}`;
+}
+
+function buildOrbitalBoxes(orbitals) {
+	const row = document.createElement('div');
+	row.className = 'orbital-boxes';
+	orbitals.forEach((orbital) => {
+		const box = document.createElement('span');
+		box.className = 'orbital-box';
+		box.textContent = formatSpinArrows(orbital);
+		box.title = `${orbital.variant}: ${orbital.electrons} electron${orbital.electrons === 1 ? '' : 's'}`;
+		if (orbital.electrons === 1) box.classList.add('unpaired');
+		row.appendChild(box);
+	});
+	return row;
+}
+
+function formatShielding(value) {
+	return value.toFixed(2).replace(/\.?0+$/, '');
+}
+
+function buildShieldingBreakdown(record) {
+	const block = document.createElement('div');
+	block.className = 'zeff-breakdown';
+	if (!record.contributions.length) {
+		block.textContent = 'No shielding electrons';
+		return block;
+	}
+	record.contributions.forEach((c) => {
+		const line = document.createElement('div');
+		line.textContent = `${c.group}: ${c.electrons} \u00d7 ${c.factor.toFixed(2)} = ${formatShielding(c.amount)}`;
+		block.appendChild(line);
+	});
+	const total = document.createElement('div');
+	total.className = 'zeff-total';
+	total.textContent = `S = ${formatShielding(record.shielding)}`;
+	block.appendChild(total);
+	return block;
 }
 
-function buildInspector(rootGroup) {
+function buildInspector(rootGroup, configuration) {
 	if (!subshellContainer) return;
 	subshellContainer.innerHTML = '';
 	if (!rootGroup) return;
 	const subshells = rootGroup.children.filter((child) => child.userData?.type === 'subshell');
-	
+	const atomicNumber = rootGroup.userData?.element?.atomicNumber;
+	const slater = new Map(
+		atomicNumber && configuration
+			? computeSlaterShielding(atomicNumber, configuration).map((record) => [`${record.n}${record.l}`, record])
+			: []
+	);
+	const sections = new Map(SUBSHELL_ROLES.map(({ role, label }) => {
+		const section = document.createElement('div');
+		section.className = `subshell-section role-${role}`;
+		const heading = document.createElement('div');
+		heading.className = 'subshell-section-title';
+		heading.textContent = label;
+		section.appendChild(heading);
+		return [role, section];
+	}));
+
 	subshells.forEach((sg) => {
 		const groupDiv = document.createElement('div');
 		groupDiv.className = 'group';
+		const role = sg.userData?.role ?? 'valence';
 
 		const title = document.createElement('div');
 		title.className = 'title';
@@ -348,6 +1127,7 @@ function buildInspector(rootGroup) {
 					mats.forEach((mat) => { if (mat) mat.wireframe = false; });
 				}
 			});
+			markCrossSectionsDirty();
 		});
 		label.appendChild(chk);
 
@@ -358,6 +1138,23 @@ function buildInspector(rootGroup) {
 		label.appendChild(span);
 		title.appendChild(label);
 
+		if (sg.userData?.family !== 's') {
+			const complex = sg.userData?.basis === 'complex';
+			const basisBtn = document.createElement('button');
+			basisBtn.type = 'button';
+			basisBtn.className = `basis-toggle${complex ? ' is-complex' : ''}`;
+			basisBtn.textContent = complex ? 'm\u2097' : 'real';
+			basisBtn.title = complex
+				? 'Complex basis: Lz eigenfunctions, hue shows the phase e^(i m\u2097 \u03c6). Click for real orbitals.'
+				: 'Real basis (px, dxy, ...). Click for complex m\u2097 eigenfunctions.';
+			basisBtn.addEventListener('click', () => {
+				if (complex) delete subshellBases[sg.name];
+				else subshellBases[sg.name] = 'complex';
+				refreshCurrentModel();
+			});
+			title.appendChild(basisBtn);
+		}
+
 		const exp = document.createElement('button');
 		exp.textContent = '\u25BC';
 		exp.style.border = 'none';
@@ -367,9 +1164,20 @@ function buildInspector(rootGroup) {
 		title.appendChild(exp);
 
 		groupDiv.appendChild(title);
+		if (sg.userData?.orbitals?.length) {
+			groupDiv.appendChild(buildOrbitalBoxes(sg.userData.orbitals));
+		}
+		const shielding = slater.get(sg.name);
+		if (shielding) {
+			const zeff = document.createElement('div');
+			zeff.className = 'subshell-zeff';
+			zeff.textContent = `Z_eff = ${shielding.zEff.toFixed(2)} (S = ${shielding.shielding.toFixed(2)})`;
+			groupDiv.appendChild(zeff);
+		}
 
 		const list = document.createElement('div');
 		list.style.display = 'none';
+		if (shielding) list.appendChild(buildShieldingBreakdown(shielding));
 
 		sg.children.forEach((child) => {
 			const item = document.createElement('div');
@@ -377,11 +1185,15 @@ function buildInspector(rootGroup) {
 			const cbox = document.createElement('input');
 			cbox.type = 'checkbox';
 			cbox.checked = child.visible;
-			cbox.addEventListener('change', () => { child.visible = cbox.checked; });
+			cbox.addEventListener('change', () => {
+				child.visible = cbox.checked;
+				markCrossSectionsDirty();
+			});
 			item.appendChild(cbox);
 			const variant = child.userData?.orbital?.variant ?? child.name;
 			const text = document.createElement('span');
-			text.textContent = variant || child.name;
+			const spins = child.userData?.occupancy ? formatSpinArrows(child.userData.occupancy) : '';
+			text.textContent = `${variant || child.name}${spins ? ` ${spins}` : ''}`;
 			item.appendChild(text);
 			list.appendChild(item);
 		});
@@ -393,7 +1205,249 @@ function buildInspector(rootGroup) {
 		});
 
 		groupDiv.appendChild(list);
-		subshellContainer.appendChild(groupDiv);
+		(sections.get(role) ?? sections.get('valence')).appendChild(groupDiv);
+	});
+
+	sections.forEach((section) => {
+		if (section.children.length > 1) subshellContainer.appendChild(section);
+	});
+}
+
+function formatSignedNumber(value) {
+	if (value > 0) return `+${value}`;
+	if (value < 0) return `\u2212${Math.abs(value)}`;
+	return '0';
+}
+
+function findOrbitalMesh(n, family, variant) {
+	return selectables.find((mesh) => {
+		const shell = mesh.userData?.shell;
+		return shell?.n === n && shell?.l === family && mesh.userData?.orbital?.variant === variant;
+	}) ?? null;
+}
+
+function highlightOrbitalMesh(mesh) {
+	resetHoverState();
+	if (!mesh) return;
+	const outline = mesh.userData?.outline;
+	if (outline) outline.visible = true;
+	currentHighlight = mesh;
+}
+
+// One entry per occupied subshell (or the explorer's orbital), taken from the meshes'
+// orbitalConfig so Z_eff and colors match the scene.
+function listRadialSubshells(model) {
+	if (!model) return [];
+	const meshes = model.userData?.type === 'explorer'
+		? model.children.filter((child) => child.userData?.orbitalConfig)
+		: model.children
+			.filter((child) => child.userData?.type === 'subshell' && child.userData.electrons > 0)
+			.map((sg) => sg.children.find((mesh) => mesh.userData?.orbitalConfig))
+			.filter(Boolean);
+	return meshes.map((mesh) => {
+		const cfg = mesh.userData.orbitalConfig;
+		return {
+			key: `${cfg.principalN}${cfg.family}`,
+			n: cfg.principalN,
+			family: cfg.family,
+			zEff: cfg.zEff ?? 1,
+			color: `#${cfg.colorPos.getHexString()}`,
+		};
+	});
+}
+
+function updateRadialStatus(key) {
+	if (!radialStatusEl) return;
+	const curve = radialPlot?.curves.find((item) => item.key === key);
+	if (!curve) {
+		radialStatusEl.textContent = 'Dashed: most probable radius. Circles: radial nodes.';
+		return;
+	}
+	const nodes = curve.nodes.length ? `nodes at ${curve.nodes.map((r) => r.toFixed(2)).join(', ')} a₀` : 'no radial nodes';
+	radialStatusEl.textContent = `${curve.key}: Z_eff ${curve.zEff.toFixed(2)}, r_mp ${curve.peak.toFixed(2)} a₀, ${nodes}`;
+}
+
+// Outlines every orbital of the hovered subshell; null restores the click-disabled outlines.
+function highlightSubshell(key) {
+	resetHoverState();
+	selectables.forEach((mesh) => {
+		const cfg = mesh.userData.orbitalConfig;
+		const match = key !== null && !!cfg?.principalN && `${cfg.principalN}${cfg.family}` === key;
+		const outline = mesh.userData.outline;
+		if (outline) outline.visible = match || !!mesh.userData.disabled;
+	});
+	updateRadialStatus(key);
+}
+
+const radialPlot = radialPlotCanvas ? createRadialPlot(radialPlotCanvas, { onHover: highlightSubshell }) : null;
+
+if (radialPlot) {
+	radialPanel?.addEventListener('toggle', () => radialPlot.draw());
+	radialQuantitySelect?.addEventListener('change', () => radialPlot.setOptions({ quantity: radialQuantitySelect.value }));
+	radialLayoutSelect?.addEventListener('change', () => radialPlot.setOptions({ layout: radialLayoutSelect.value }));
+	radialLogInput?.addEventListener('change', () => radialPlot.setOptions({ logScale: radialLogInput.checked }));
+}
+
+function formatProbability(p) {
+	return `${(100 * p).toFixed(p < 0.001 ? 3 : 1)}%`;
+}
+
+function setProbabilityTarget(mesh) {
+	probabilityTarget = mesh;
+	updateProbabilityResults();
+}
+
+// Reads the query inputs and fills the results list for probabilityTarget.
+function updateProbabilityResults() {
+	if (!probabilityResultsEl) return;
+	probabilityResultsEl.innerHTML = '';
+	const cfg = probabilityTarget?.userData?.orbitalConfig;
+	if (!cfg) {
+		if (probabilityTargetEl) probabilityTargetEl.textContent = 'Click an orbital or a quantum-number row.';
+		return;
+	}
+	const name = `${cfg.principalN ?? ''}${cfg.variant}`;
+	if (!cfg.principalN) {
+		if (probabilityTargetEl) probabilityTargetEl.textContent = `${name}: no radial function (hybrid or shape-only orbital).`;
+		return;
+	}
+	if (probabilityTargetEl) probabilityTargetEl.textContent = `${name}, Z_eff ${(cfg.zEff ?? 1).toFixed(2)}; radii in a₀, axes as in the orbital names`;
+	const radius = Math.max(0, Number(probabilityRadiusInput?.value ?? 2));
+	const axis = probabilityConeAxisSelect?.value ?? 'y';
+	const degrees = Math.min(180, Math.max(0, Number(probabilityConeAngleInput?.value ?? 45)));
+	const octant = (probabilityOctantSelect?.value ?? '1,1,1').split(',').map(Number);
+	const summary = summarizeOrbitalProbabilities(cfg, {
+		radius,
+		coneAxis: ORBITAL_FRAME_AXES[axis],
+		coneHalfAngle: THREE.MathUtils.degToRad(degrees),
+		octant: toOrbitalFrame(octant),
+	});
+	const rows = [
+		['⟨r⟩', summary.meanR.toFixed(3)],
+		['⟨r²⟩', summary.meanR2.toFixed(3)],
+		['90% radius', summary.r90.toFixed(3)],
+		['P(r < ⟨r⟩)', formatProbability(summary.withinMeanR)],
+		[`P(r < ${radius})`, formatProbability(summary.withinRadius)],
+		[`P(cone +${axis}, ${degrees}°)`, formatProbability(summary.inCone)],
+		[`P(octant ${probabilityOctantSelect?.selectedOptions[0]?.textContent ?? '+x +y +z'})`, formatProbability(summary.inOctant)],
+	];
+	rows.forEach(([label, value]) => {
+		const dt = document.createElement('dt');
+		dt.textContent = label;
+		const dd = document.createElement('dd');
+		dd.textContent = value;
+		probabilityResultsEl.append(dt, dd);
+	});
+}
+
+if (probabilityOctantSelect) {
+	[1, -1].forEach((sx) => [1, -1].forEach((sy) => [1, -1].forEach((sz) => {
+		const option = document.createElement('option');
+		option.value = `${sx},${sy},${sz}`;
+		option.textContent = [[sx, 'x'], [sy, 'y'], [sz, 'z']].map(([sign, axis]) => `${sign > 0 ? '+' : '\u2212'}${axis}`).join(' ');
+		probabilityOctantSelect.appendChild(option);
+	})));
+}
+
+[probabilityRadiusInput, probabilityConeAxisSelect, probabilityConeAngleInput, probabilityOctantSelect].forEach((el) => {
+	el?.addEventListener('change', updateProbabilityResults);
+});
+
+// --- Export ---
+if (exportFormatSelect) {
+	Object.entries(EXPORT_FORMATS).forEach(([value, spec]) => {
+		const option = document.createElement('option');
+		option.value = value;
+		option.textContent = spec.label;
+		exportFormatSelect.appendChild(option);
+	});
+}
+
+function downloadBlob(blob, filename) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// "Selected orbital" exports the last clicked orbital (the probability inspector's target).
+async function runExport() {
+	const selected = exportScopeSelect?.value === 'selected';
+	const target = selected ? probabilityTarget : currentModel;
+	if (!target) {
+		if (exportStatusEl) exportStatusEl.textContent = selected ? 'Click an orbital to select it first.' : 'Nothing to export.';
+		return;
+	}
+	const format = exportFormatSelect?.value ?? 'glb';
+	if (exportRunButton) exportRunButton.disabled = true;
+	if (exportStatusEl) exportStatusEl.textContent = 'Exporting\u2026';
+	try {
+		// Meshes still waiting on the worker pool would otherwise export their placeholders.
+		await whenOrbitalGeometryReady(target);
+		const result = await exportOrbitalModel(target, {
+			format,
+			watertight: !!exportWatertightInput?.checked,
+			size: Math.max(0, Number(exportSizeInput?.value ?? 0)),
+			includeNucleus: exportNucleusInput?.checked ?? true,
+		});
+		const cfg = target.userData?.orbitalConfig;
+		const base = selected && cfg ? `${currentElement?.symbol ?? 'orbital'}-${cfg.principalN ?? ''}${cfg.variant}` : `${currentElement?.symbol ?? 'model'}-orbitals`;
+		downloadBlob(result.blob, `${base}.${result.extension}`);
+		let units = 'scene units';
+		if (Number(exportSizeInput?.value) > 0) units = EXPORT_FORMATS[format].unitsPerMillimetre === 1 ? 'mm' : 'm';
+		const dims = result.dimensions.map((v) => v.toFixed(units === 'm' ? 4 : 1)).join(' \u00d7 ');
+		let closed = '';
+		if (result.openEdges !== null) closed = result.openEdges === 0 ? ', closed' : `, ${result.openEdges} open edges`;
+		if (exportStatusEl) exportStatusEl.textContent = `${result.meshCount} meshes, ${dims} ${units}${closed}`;
+	} catch (err) {
+		if (exportStatusEl) exportStatusEl.textContent = err instanceof Error ? err.message : String(err);
+	} finally {
+		if (exportRunButton) exportRunButton.disabled = false;
+	}
+}
+
+exportRunButton?.addEventListener('click', runExport);
+
+function buildQuantumTable(configuration) {
+	if (!quantumTableBody) return;
+	quantumTableBody.innerHTML = '';
+	if (!configuration) return;
+	listQuantumNumbers(configuration, { bases: subshellBases }).forEach((row, index) => {
+		const tr = document.createElement('tr');
+		const cells = [
+			String(index + 1),
+			String(row.n),
+			String(row.l),
+			formatSignedNumber(row.ml),
+			row.ms > 0 ? '+\u00bd' : '\u2212\u00bd',
+			`${row.n}${row.variant ?? row.subshell}`,
+		];
+		cells.forEach((text) => {
+			const td = document.createElement('td');
+			td.textContent = text;
+			tr.appendChild(td);
+		});
+		tr.tabIndex = 0;
+		tr.title = `Highlight ${row.n}${row.variant}`;
+		const select = () => {
+			quantumTableBody.querySelectorAll('tr.is-selected').forEach((el) => el.classList.remove('is-selected'));
+			tr.classList.add('is-selected');
+			const mesh = findOrbitalMesh(row.n, row.family, row.variant);
+			highlightOrbitalMesh(mesh);
+			setProbabilityTarget(mesh);
+		};
+		tr.addEventListener('click', select);
+		tr.addEventListener('keydown', (event) => {
+			if (event.code === 'Enter' || event.code === 'Space') {
+				event.preventDefault();
+				select();
+			}
+		});
+		quantumTableBody.appendChild(tr);
 	});
 }
 
@@ -415,24 +1469,151 @@ function formatMass(mass) {
 	return `Mass ${value} u`;
 }
 
-function updateElementInfo(element, configuration) {
+function updateElementInfo(element, configuration, charge = 0, excited = false) {
 	if (!elementSymbolEl || !elementNameEl || !elementMetaEl || !elementConfigEl || !elementExtraEl) return;
 	if (!element || !configuration) return;
-	const configStr = formatElectronConfiguration(configuration);
-	const valence = computeValenceElectrons(configuration);
+	const configStr = formatCondensedConfiguration(configuration, { style: 'superscript', exactCore: charge !== 0 || excited }) || 'No electrons';
+	const { counts, oxidationStates } = partitionElectrons(configuration, element);
+	const { unpaired, magnetism } = describeMagnetism(configuration);
 	const groupText = element.group ? `Group ${element.group}` : 'Group NA';
 	const categoryText = formatCategory(element.category);
 	const blockText = element.block ? element.block.toUpperCase() : 'NA';
 	const stateText = formatStandardState(element.standardState);
 	const massText = formatMass(element.atomicMass);
 
+	const chargeText = formatIonCharge(charge);
 	elementSymbolEl.textContent = element.symbol;
-	elementNameEl.textContent = element.name;
-	elementMetaEl.textContent = `Z=${element.atomicNumber} | Period ${element.period} | ${groupText} | ${categoryText}`;
+	if (chargeText) {
+		const sup = document.createElement('sup');
+		sup.className = 'element-charge';
+		sup.textContent = chargeText;
+		elementSymbolEl.appendChild(sup);
+	}
+	elementNameEl.textContent = chargeText ? `${element.name} ion` : element.name;
+	const ionText = chargeText ? ` | Charge ${chargeText} | ${element.atomicNumber - charge} electrons` : '';
+	elementMetaEl.textContent = `Z=${element.atomicNumber}${ionText} | Period ${element.period} | ${groupText} | ${categoryText}`;
 	elementConfigEl.textContent = configStr;
-	elementExtraEl.textContent = `Valence electrons: ${valence} | Block ${blockText} | ${stateText} | ${massText}`;
+	elementConfigEl.title = formatElectronConfiguration(configuration, { style: 'superscript' });
+	const magnetismText = `Unpaired electrons: ${unpaired} | ${magnetism.charAt(0).toUpperCase()}${magnetism.slice(1)}`;
+	const partitionText = `Valence electrons: ${counts.valence} (core ${counts.core}, semi-core ${counts.semiCore})`;
+	const oxidationText = oxidationStates.length
+		? `Oxidation states: ${oxidationStates.map((state) => formatSignedNumber(state)).join(', ')}`
+		: 'Oxidation states: N/A';
+	elementExtraEl.textContent = `${partitionText} | ${oxidationText} | ${magnetismText} | Block ${blockText} | ${stateText} | ${massText}`;
+	updateTermSymbols(configuration);
+	if (elementStateBadge) {
+		elementStateBadge.hidden = !excited;
+	}
+	if (elementPredictedBadge) {
+		const reference = getReferenceConfiguration(element.atomicNumber);
+		elementPredictedBadge.hidden = !reference?.predicted;
+		elementPredictedBadge.title = reference?.predicted
+			? `Predicted ground state ${reference.configuration} (${reference.citation})`
+			: '';
+	}
 	if (elementInfoEl) {
 		elementInfoEl.dataset.cat = element.category || 'unknown';
+		elementInfoEl.classList.toggle('is-excited', excited);
+	}
+}
+
+function updateTermSymbols(configuration) {
+	if (elementTermEl) {
+		const ground = computeGroundTermSymbol(configuration);
+		elementTermEl.textContent = formatTermSymbol(ground);
+		elementTermEl.title = `Ground-state term symbol (Hund's rules): ${formatTermSymbol(ground, { style: 'plain' })}`;
+	}
+	if (!elementTermsEl) return;
+	const terms = listTermSymbols(configuration);
+	if (!terms) {
+		elementTermsEl.textContent = 'Terms: too many microstates to list';
+		elementTermsEl.title = '';
+		return;
+	}
+	const labels = terms.map((term) => formatTermSymbol(term));
+	const shown = labels.slice(0, MAX_LISTED_TERMS).join(', ');
+	const more = labels.length > MAX_LISTED_TERMS ? ` \u2026 (${labels.length} terms)` : '';
+	elementTermsEl.textContent = `Terms: ${shown}${more}`;
+	elementTermsEl.title = labels.join(', ');
+}
+
+function parseSubshellKey(key) {
+	const match = /^(\d+)([spdf])$/.exec(key ?? '');
+	return match ? { n: Number(match[1]), l: match[2] } : null;
+}
+
+function fillSubshellSelect(select, entries) {
+	if (!select) return;
+	const previous = select.value;
+	select.innerHTML = '';
+	entries.forEach((entry) => {
+		const option = document.createElement('option');
+		option.value = `${entry.n}${entry.l}`;
+		option.textContent = `${entry.n}${entry.l} (${entry.electrons ?? 0}/${entry.capacity})`;
+		select.appendChild(option);
+	});
+	if (entries.some((entry) => `${entry.n}${entry.l}` === previous)) select.value = previous;
+}
+
+function showConfigError(message) {
+	if (!configErrorEl) return;
+	configErrorEl.textContent = message ?? '';
+	configErrorEl.hidden = !message;
+}
+
+function updateConfigEditor(configuration, exactCore = false) {
+	const occupied = new Map(configuration.map((entry) => [`${entry.n}${entry.l}`, entry]));
+	fillSubshellSelect(configFromSelect, configuration);
+	fillSubshellSelect(configToSelect, listSubshells().map((entry) => occupied.get(`${entry.n}${entry.l}`) ?? entry));
+	if (configInput) configInput.value = formatCondensedConfiguration(configuration, { exactCore });
+	showConfigError('');
+}
+
+function applyCustomConfiguration(configuration) {
+	if (!currentElement) return;
+	const expected = currentElement.atomicNumber - currentCharge;
+	const actual = countElectrons(configuration);
+	if (actual !== expected) {
+		throw new Error(`Configuration has ${actual} electrons; ${currentElement.symbol}${formatIonCharge(currentCharge)} has ${expected}`);
+	}
+	setElement(currentElement, currentCharge, configuration);
+}
+
+function runConfigEdit(edit) {
+	try {
+		edit();
+	} catch (err) {
+		showConfigError(err instanceof Error ? err.message : String(err));
+	}
+}
+
+function initConfigEditor() {
+	if (configMoveButton) {
+		configMoveButton.addEventListener('click', () => runConfigEdit(() => {
+			const from = parseSubshellKey(configFromSelect?.value);
+			const to = parseSubshellKey(configToSelect?.value);
+			if (!from || !to || !currentConfig) return;
+			applyCustomConfiguration(moveElectrons(currentConfig, from, to));
+		}));
+	}
+	const applyTyped = () => runConfigEdit(() => {
+		applyCustomConfiguration(parseElectronConfiguration(configInput?.value ?? ''));
+	});
+	if (configApplyButton) configApplyButton.addEventListener('click', applyTyped);
+	if (configInput) {
+		configInput.addEventListener('keydown', (event) => {
+			// Keep R / Esc / WASD from reaching the global shortcuts while typing.
+			event.stopPropagation();
+			if (event.code === 'Enter') {
+				event.preventDefault();
+				applyTyped();
+			}
+		});
+	}
+	if (configResetButton) {
+		configResetButton.addEventListener('click', () => {
+			if (currentElement) setElement(currentElement, currentCharge);
+		});
 	}
 }
 
@@ -451,21 +1632,141 @@ function highlightPeriodicCell(symbol) {
 	}
 }
 
-function setElement(element) {
-	if (!element) return;
-	currentElement = element;
-	currentConfig = buildElectronConfiguration(element.atomicNumber);
-	const model = createElementModel({ element, configuration: currentConfig });
-	if (currentModel) {
-		scene.remove(currentModel);
-	}
-	currentModel = model;
+function showModel(model) {
+	// Releases cached geometry/materials and frees everything else the old model owned.
+	disposeObject(currentModel);
+	currentModel = applyCoordinateConvention(model, coordinateConvention);
 	scene.add(currentModel);
 	applyNodeVisibility(currentModel, nodesEnabled);
 	resetHoverState();
 	registerSelectables(currentModel);
-	buildInspector(currentModel);
-	updateElementInfo(element, currentConfig);
+	buildVolumeSubshellList(currentModel);
+	refreshDensityVolume();
+	markCrossSectionsDirty();
+	radialPlot?.setCurves(buildRadialCurves(listRadialSubshells(currentModel)));
+	updateRadialStatus(null);
+	setProbabilityTarget(model.userData?.type === 'explorer' ? selectables[0] ?? null : null);
+}
+
+function updateAufbauControls() {
+	const active = !!aufbauPlayer;
+	if (aufbauPlayButton) aufbauPlayButton.textContent = aufbauPlayer?.playing ? 'Pause' : 'Play';
+	[aufbauPrevButton, aufbauNextButton, aufbauStopButton, aufbauScrub].forEach((el) => {
+		if (el) el.disabled = !active;
+	});
+	if (aufbauModeSelect) aufbauModeSelect.disabled = active;
+	if (!active) {
+		if (aufbauStatusEl) aufbauStatusEl.textContent = '';
+		if (aufbauNoteEl) aufbauNoteEl.textContent = '';
+		if (aufbauScrub) aufbauScrub.value = '0';
+	}
+}
+
+function clearAufbau() {
+	if (!aufbauPlayer) return;
+	aufbauPlayer.dispose();
+	aufbauPlayer = null;
+	updateAufbauControls();
+}
+
+function onAufbauFrame(frame, index, frames) {
+	const element = ELEMENTS_BY_NUMBER.get(frame.atomicNumber) ?? currentElement;
+	updateElementInfo(element, frame.configuration);
+	if (aufbauScrub) {
+		aufbauScrub.max = String(frames.length - 1);
+		aufbauScrub.value = String(index);
+	}
+	if (aufbauStatusEl) {
+		const added = frame.added ? ` | ${frame.exception ? 'rearranged into' : 'filling'} ${frame.added.n}${frame.added.l}` : '';
+		aufbauStatusEl.textContent = `Step ${index}/${frames.length - 1} | ${element.symbol} | ${frame.electrons} e\u207b${added}`;
+	}
+	if (aufbauNoteEl) aufbauNoteEl.textContent = frame.note ? `${element.symbol}: ${frame.note}` : '';
+}
+
+function startAufbau() {
+	if (!currentElement) return;
+	const mode = aufbauModeSelect?.value ?? 'atom';
+	const frames = mode === 'elements'
+		? buildElementSequence(1, Math.max(2, currentElement.atomicNumber))
+		: buildAufbauSequence(currentElement.atomicNumber);
+	const union = mergeConfigurations(frames.map((frame) => frame.configuration));
+	setSceneMode('element');
+	showModel(createElementModel({
+		element: currentElement,
+		configuration: union,
+		orbitalOptions: orbitalRenderOptions,
+		bases: subshellBases,
+	}));
+	aufbauPlayer = createAufbauPlayer({ model: currentModel, frames, onFrame: onAufbauFrame });
+	aufbauPlayer.play();
+	updateAufbauControls();
+}
+
+function stopAufbau() {
+	if (!aufbauPlayer) return;
+	clearAufbau();
+	if (currentElement) setElement(currentElement, currentCharge, currentConfig);
+}
+
+function initAufbauControls() {
+	if (aufbauPlayButton) {
+		aufbauPlayButton.addEventListener('click', () => {
+			if (!aufbauPlayer) startAufbau();
+			else if (aufbauPlayer.playing) aufbauPlayer.pause();
+			else aufbauPlayer.play();
+			updateAufbauControls();
+		});
+	}
+	if (aufbauPrevButton) {
+		aufbauPrevButton.addEventListener('click', () => {
+			aufbauPlayer?.pause();
+			aufbauPlayer?.step(-1);
+			updateAufbauControls();
+		});
+	}
+	if (aufbauNextButton) {
+		aufbauNextButton.addEventListener('click', () => {
+			aufbauPlayer?.pause();
+			aufbauPlayer?.step(1);
+			updateAufbauControls();
+		});
+	}
+	if (aufbauScrub) {
+		aufbauScrub.addEventListener('input', () => {
+			if (!aufbauPlayer) return;
+			aufbauPlayer.pause();
+			aufbauPlayer.setFrame(Number(aufbauScrub.value));
+			updateAufbauControls();
+		});
+	}
+	if (aufbauStopButton) aufbauStopButton.addEventListener('click', stopAufbau);
+	updateAufbauControls();
+}
+
+function setElement(element, charge = 0, configuration = null) {
+	if (!element) return;
+	clearAufbau();
+	setSceneMode('element');
+	if (element !== currentElement) volumeSubshells = null;
+	const resolvedCharge = isChargeAllowed(element.atomicNumber, charge) ? charge : 0;
+	const groundConfig = buildElectronConfiguration(element.atomicNumber, resolvedCharge);
+	currentElement = element;
+	currentCharge = resolvedCharge;
+	currentConfig = configuration ?? groundConfig;
+	const excited = !isSameConfiguration(currentConfig, groundConfig);
+	showModel(createElementModel({
+		element,
+		configuration: currentConfig,
+		charge: resolvedCharge,
+		orbitalOptions: orbitalRenderOptions,
+		bases: subshellBases,
+	}));
+	updateHybridPicker(currentConfig);
+	applyHybrids(currentConfig);
+	buildInspector(currentModel, currentConfig);
+	buildQuantumTable(currentConfig);
+	updateElementInfo(element, currentConfig, resolvedCharge, excited);
+	updateConfigEditor(currentConfig, resolvedCharge !== 0 || excited);
 	highlightPeriodicCell(element.symbol);
 }
 
@@ -475,7 +1776,33 @@ function handlePeriodicCellClick(event) {
 	const element = ELEMENTS_BY_SYMBOL.get(symbol);
 	if (!element) return;
 	closePeriodicOverlay();
-	setElement(element);
+	setElement(element, getSelectedCharge());
+}
+
+function getSelectedCharge() {
+	const value = Number.parseInt(periodicChargeSelect?.value ?? '0', 10);
+	return Number.isNaN(value) ? 0 : value;
+}
+
+function updatePeriodicChargeAvailability() {
+	const charge = getSelectedCharge();
+	periodicCells.forEach((cell, symbol) => {
+		const element = ELEMENTS_BY_SYMBOL.get(symbol);
+		cell.disabled = !element || !isChargeAllowed(element.atomicNumber, charge);
+	});
+}
+
+function buildChargeSelector() {
+	if (!periodicChargeSelect) return;
+	periodicChargeSelect.innerHTML = '';
+	ION_CHARGES.forEach((charge) => {
+		const option = document.createElement('option');
+		option.value = String(charge);
+		option.textContent = charge === 0 ? 'Neutral' : formatIonCharge(charge);
+		periodicChargeSelect.appendChild(option);
+	});
+	periodicChargeSelect.value = String(currentCharge);
+	periodicChargeSelect.addEventListener('change', updatePeriodicChargeAvailability);
 }
 
 function buildPeriodicTable() {
@@ -509,6 +1836,8 @@ function openPeriodicOverlay() {
 	periodicOverlay.classList.add('visible');
 	periodicOverlay.setAttribute('aria-hidden', 'false');
 	if (elementPickerButton) elementPickerButton.setAttribute('aria-expanded', 'true');
+	if (periodicChargeSelect) periodicChargeSelect.value = String(currentCharge);
+	updatePeriodicChargeAvailability();
 	const focusTarget = activePeriodicCell || periodicGridInner?.querySelector('.periodic-cell');
 	if (focusTarget) focusTarget.focus({ preventScroll: false });
 }
@@ -562,12 +1891,15 @@ function onPointerDown(e) {
 	if (intersects.length > 0) {
 		const hit = getOrbitalRoot(intersects[0].object);
 		if (hit) {
+			setProbabilityTarget(hit);
 			const nowDisabled = !hit.userData?.disabled;
 			hit.userData.disabled = nowDisabled;
+			detachSharedMaterial(hit);
 			const mats = Array.isArray(hit.material) ? hit.material : [hit.material];
 			mats.forEach((mat) => { if (mat) mat.wireframe = nowDisabled; });
 			const outline = hit.userData?.outline;
 			if (outline) outline.visible = !!nowDisabled;
+			markCrossSectionsDirty();
 		}
 	}
 }
@@ -612,6 +1944,11 @@ window.addEventListener('keydown', (e) => {
 });
 
 buildPeriodicTable();
+buildChargeSelector();
+initConfigEditor();
+initAufbauControls();
+initExplorerControls();
+initSuperpositionControls();
 
 const defaultElement = ELEMENTS_BY_SYMBOL.get('Ca') ?? ELEMENTS[0];
 setElement(defaultElement);
@@ -721,6 +2058,7 @@ function onResize() {
 	camera.aspect = w / h;
 	camera.updateProjectionMatrix();
 	renderer.setSize(w, h);
+	volumeDepthPass?.resize();
 }
 window.addEventListener('resize', onResize);
 
@@ -733,11 +2071,23 @@ renderer.setAnimationLoop(() => {
 	// Update WASD movement (module handles keys and direction)
 	updateMovement(camera, controls, dt);
 
+	if (aufbauPlayer) {
+		const wasPlaying = aufbauPlayer.playing;
+		aufbauPlayer.update(dt);
+		if (wasPlaying !== aufbauPlayer.playing) updateAufbauControls();
+	}
+
+	if (orbitalRenderOptions.renderMode === 'points') updatePointClouds(currentModel, dt);
+	if (crossSectionDirty) refreshCrossSections();
+	if (sceneMode === 'superposition') updateSuperposition(currentModel?.userData.cloud, dt * superpositionState.speed);
+
 	// Update procedural animations (e.g., hydrogen electron)
 
 	// Slowly rotate the SPDF showcase for visibility
 
 	controls.update();
+	updateOrbitalLOD(currentModel, camera);
+	if (densityVolume) volumeDepthPass.render(scene, camera, densityVolume);
 	renderer.clear();
 	renderer.render(scene, camera);
 });
@@ -0,0 +1,73 @@
+// slater.js - Slater's rules shielding constants and effective nuclear charge
+// Works on the { n, l, electrons } entries produced by electron_config.js
+
+const L_RANK = { s: 0, p: 0, d: 1, f: 2 };
+
+// Slater grouping: (1s)(2s,2p)(3s,3p)(3d)(4s,4p)(4d)(4f)(5s,5p)(5d)...
+function groupKey(entry) {
+  return entry.l === 's' || entry.l === 'p' ? `${entry.n}sp` : `${entry.n}${entry.l}`;
+}
+
+function groupLabel(entry) {
+  if (entry.l === 'd' || entry.l === 'f') return `${entry.n}${entry.l}`;
+  return entry.n === 1 ? '1s' : `${entry.n}s,${entry.n}p`;
+}
+
+function groupRank(entry) {
+  return entry.n * 10 + L_RANK[entry.l];
+}
+
+function collectGroups(config) {
+  const groups = new Map();
+  config.forEach((entry) => {
+    if (entry.electrons <= 0) return;
+    const key = groupKey(entry);
+    const group = groups.get(key) ?? { key, label: groupLabel(entry), n: entry.n, rank: groupRank(entry), electrons: 0 };
+    group.electrons += entry.electrons;
+    groups.set(key, group);
+  });
+  return Array.from(groups.values()).sort((a, b) => a.rank - b.rank);
+}
+
+function shieldingFactor(target, group) {
+  if (group.key === target.key) return target.key === '1sp' ? 0.3 : 0.35;
+  if (group.rank > target.rank) return 0;
+  if (target.key.endsWith('sp')) {
+    if (group.n === target.n - 1) return 0.85;
+    return group.n < target.n - 1 ? 1.0 : 0;
+  }
+  // d and f electrons are shielded fully by every group to their left.
+  return 1.0;
+}
+
+// Returns one record per occupied subshell with the shielding constant S,
+// Z_eff = Z - S and the per-group contributions that make up S.
+export function computeSlaterShielding(atomicNumber, config) {
+  const groups = collectGroups(config);
+  return config
+    .filter((entry) => entry.electrons > 0)
+    .map((entry) => {
+      const target = groups.find((g) => g.key === groupKey(entry));
+      const contributions = [];
+      groups.forEach((group) => {
+        const factor = shieldingFactor(target, group);
+        const electrons = group.key === target.key ? group.electrons - 1 : group.electrons;
+        if (factor === 0 || electrons <= 0) return;
+        contributions.push({ group: group.label, electrons, factor, amount: electrons * factor });
+      });
+      const shielding = contributions.reduce((sum, c) => sum + c.amount, 0);
+      return {
+        n: entry.n,
+        l: entry.l,
+        electrons: entry.electrons,
+        shielding,
+        zEff: atomicNumber - shielding,
+        contributions,
+      };
+    });
+}
+
+export function computeEffectiveNuclearCharge(atomicNumber, config, n, l) {
+  const record = computeSlaterShielding(atomicNumber, config).find((r) => r.n === n && r.l === l);
+  return record ? record.zEff : null;
+}
@@ -0,0 +1,128 @@
+// spherical_harmonics.js - Real spherical harmonics for any l via associated Legendre recurrences
+// Polar axis is Y to match orbitals.js: cos(theta) = dir.y, phi = atan2(dir.z, dir.x).
+// Pure math, no three.js, so it can be imported in Node as well as the browser.
+
+export const HARMONIC_LETTERS = ['s', 'p', 'd', 'f', 'g', 'h', 'i', 'k'];
+
+const ZERO_SCAN_STEPS = 2000;
+const PEAK_SCAN_STEPS = 720;
+
+// P_l^m(x) for m >= 0 without the Condon-Shortley phase, via the standard upward recurrence
+// from P_m^m = (2m-1)!! (1-x^2)^(m/2).
+export function associatedLegendre(l, m, x) {
+  if (!Number.isInteger(l) || !Number.isInteger(m) || m < 0 || m > l) {
+    throw new Error(`Invalid associated Legendre indices l=${l}, m=${m}`);
+  }
+  const s = Math.sqrt(Math.max(0, 1 - x * x));
+  let pmm = 1;
+  for (let i = 1; i <= m; i += 1) pmm *= (2 * i - 1) * s;
+  if (l === m) return pmm;
+  let pmm1 = x * (2 * m + 1) * pmm;
+  for (let ll = m + 2; ll <= l; ll += 1) {
+    const next = ((2 * ll - 1) * x * pmm1 - (ll + m - 1) * pmm) / (ll - m);
+    pmm = pmm1;
+    pmm1 = next;
+  }
+  return pmm1;
+}
+
+function factorial(k) {
+  let result = 1;
+  for (let i = 2; i <= k; i += 1) result *= i;
+  return result;
+}
+
+// Orthonormal real harmonic: m > 0 takes cos(m phi), m < 0 takes sin(|m| phi).
+export function evaluateRealHarmonic(l, m, dir) {
+  const am = Math.abs(m);
+  const norm = Math.sqrt(((2 * l + 1) / (4 * Math.PI)) * (factorial(l - am) / factorial(l + am))) * (m === 0 ? 1 : Math.SQRT2);
+  const legendre = associatedLegendre(l, am, dir.y);
+  if (m === 0) return norm * legendre;
+  const phi = Math.atan2(dir.z, dir.x);
+  return norm * legendre * (m > 0 ? Math.cos(am * phi) : Math.sin(am * phi));
+}
+
+// Variant names extend the cubic 'pz'/'dz2'/'fz3' and 'fcos3'/'fsin3' patterns:
+// 'gz4', 'gcos2', 'hsin5'. (Bare 'g0' stays free for the complex ml basis.)
+export function formatHarmonicVariant(letter, m) {
+  const l = HARMONIC_LETTERS.indexOf(letter);
+  if (l === 0) return 's';
+  if (m === 0) return l === 1 ? 'pz' : `${letter}z${l}`;
+  return `${letter}${m > 0 ? 'cos' : 'sin'}${Math.abs(m)}`;
+}
+
+// Inverse of formatHarmonicVariant; null for other names (e.g. cubic 'dxy' or complex 'p+1').
+export function parseHarmonicVariant(variant) {
+  if (variant === 's') return { l: 0, m: 0 };
+  const match = /^([a-z])(?:z(\d*)|(cos|sin)(\d+))$/.exec(variant ?? '');
+  if (!match) return null;
+  const l = HARMONIC_LETTERS.indexOf(match[1]);
+  if (l < 0) return null;
+  if (match[3] === undefined) {
+    // m = 0 carries its own l ('dz2'); only 'pz' omits it.
+    return Number(match[2] || 1) === l ? { l, m: 0 } : null;
+  }
+  const m = Number(match[4]) * (match[3] === 'cos' ? 1 : -1);
+  return Math.abs(m) <= l ? { l, m } : null;
+}
+
+// Real variants for one l ordered m = 0, +1, -1, +2, -2, ...
+export function listHarmonicVariants(l) {
+  const letter = HARMONIC_LETTERS[l];
+  if (!letter) throw new Error(`No orbital letter for l=${l}`);
+  const variants = [formatHarmonicVariant(letter, 0)];
+  for (let m = 1; m <= l; m += 1) variants.push(formatHarmonicVariant(letter, m), formatHarmonicVariant(letter, -m));
+  return variants;
+}
+
+const peaks = new Map();
+
+// max |Y_lm| over the sphere; |cos(m phi)| reaches 1 so only theta needs scanning.
+export function harmonicPeak(l, m) {
+  const key = `${l},${m}`;
+  if (peaks.has(key)) return peaks.get(key);
+  let peak = 0;
+  for (let i = 0; i <= PEAK_SCAN_STEPS; i += 1) {
+    const cosT = Math.cos((Math.PI * i) / PEAK_SCAN_STEPS);
+    const value = Math.abs(evaluateRealHarmonic(l, Math.abs(m), { x: Math.sqrt(Math.max(0, 1 - cosT * cosT)), y: cosT, z: 0 }));
+    peak = Math.max(peak, value);
+  }
+  peaks.set(key, peak);
+  return peak;
+}
+
+// Angular nodes of Y_lm: l - |m| nodal cones from the zeros of P_l^|m|(cos theta) (a zero
+// at cos = 0 is the equatorial plane) and |m| vertical planes from cos/sin(m phi) = 0.
+// coneCosines lists each double cone once (cos > 0); planeAngles are the phi of each plane,
+// which contains the polar axis and the horizontal direction (cos phi, 0, sin phi).
+export function harmonicNodes(l, m) {
+  const am = Math.abs(m);
+  const coneCosines = [];
+  let equatorial = false;
+  // Start just off the pole, where P_l^m vanishes for m > 0 without being a cone.
+  let prevX = 1 - 0.5 / ZERO_SCAN_STEPS;
+  let prev = associatedLegendre(l, am, prevX);
+  for (let i = 1; i <= ZERO_SCAN_STEPS; i += 1) {
+    const x = 1 - i / ZERO_SCAN_STEPS;
+    const value = associatedLegendre(l, am, x);
+    if (i === ZERO_SCAN_STEPS) {
+      if (Math.abs(value) < 1e-9) equatorial = true;
+    } else if (Math.sign(value) !== Math.sign(prev)) {
+      let lo = x;
+      let hi = prevX;
+      for (let k = 0; k < 50; k += 1) {
+        const mid = 0.5 * (lo + hi);
+        if (Math.sign(associatedLegendre(l, am, mid)) === Math.sign(value)) lo = mid;
+        else hi = mid;
+      }
+      coneCosines.push(0.5 * (lo + hi));
+    }
+    prevX = x;
+    prev = value;
+  }
+  const planeAngles = [];
+  for (let k = 0; k < am; k += 1) {
+    planeAngles.push(m > 0 ? ((2 * k + 1) * Math.PI) / (2 * am) : (k * Math.PI) / am);
+  }
+  return { coneCosines, equatorial, planeAngles };
+}
@@ -0,0 +1,164 @@
+// superposition.js - Time-dependent superpositions sum_k c_k psi_k e^(-i E_k t) as a point cloud
+// Candidate points are drawn once from the mixture sum_k |c_k|^2 |psi_k|^2 (point_cloud.js
+// samplers) and each keeps a fixed random threshold. Every frame a candidate is shown iff
+// rho(t) beats its threshold, which is rejection sampling of the instantaneous density, so
+// the visible cloud follows |psi(t)|^2 exactly while moving smoothly.
+// Times are in atomic units (hbar / Hartree); energies are hydrogenic.
+import * as THREE from 'three';
+import { evaluateOrbitalPsi, phaseToColor } from './orbitals.js';
+import { sampleOrbitalPoints } from './point_cloud.js';
+import { angularNormalization } from './probability.js';
+import { FAMILY_L, mostProbableRadius, radiusEnclosing } from './radial.js';
+
+const CENTROID_RADIUS = 0.06;
+
+// E_n = -Z^2 / (2 n^2) Hartree; l does not enter for a pure Coulomb potential.
+export function hydrogenicEnergy(n, Z = 1) {
+  return -(Z * Z) / (2 * n * n);
+}
+
+// Slowest beat between components, 2 pi / |E_i - E_j|; Infinity when all are degenerate.
+export function superpositionPeriod(components, Z = 1) {
+  let period = Infinity;
+  components.forEach((a, i) => {
+    components.slice(i + 1).forEach((b) => {
+      const gap = Math.abs(hydrogenicEnergy(a.n, Z) - hydrogenicEnergy(b.n, Z));
+      if (gap > 1e-12) period = Math.min(period, (2 * Math.PI) / gap);
+    });
+  });
+  return period;
+}
+
+// components: [{ n, family, variant, coefficient }] with real coefficients (phases come from
+// the time evolution). baseRadius is where the outermost component's most probable radius lands.
+export function createSuperpositionCloud({
+  components,
+  Z = 1,
+  pointCount = 20000,
+  pointSize = 0.035,
+  baseRadius = 1.2,
+  random = Math.random,
+} = {}) {
+  const used = (components ?? []).filter((c) => Math.abs(c.coefficient) > 1e-6);
+  if (!used.length) throw new Error('createSuperpositionCloud needs at least one non-zero coefficient');
+  const total = used.reduce((sum, c) => sum + c.coefficient * c.coefficient, 0);
+  const outer = used.reduce((best, c) => (c.n > best.n ? c : best), used[0]);
+  const scale = baseRadius / mostProbableRadius(outer.n, FAMILY_L[outer.family], Z);
+
+  const terms = used.map((c) => ({
+    config: { principalN: c.n, family: c.family, variant: c.variant, zEff: Z },
+    coefficient: c.coefficient / Math.sqrt(total),
+    weight: (c.coefficient * c.coefficient) / total,
+    energy: hydrogenicEnergy(c.n, Z),
+  }));
+  terms.forEach((term) => {
+    term.norm = angularNormalization(term.config);
+  });
+
+  // Proposal: the mixture sum_k w_k |psi_k|^2 (stratified by component).
+  const base = new Float32Array(pointCount * 3);
+  let offset = 0;
+  terms.forEach((term, k) => {
+    const count = k === terms.length - 1 ? pointCount - offset : Math.round(term.weight * pointCount);
+    sampleOrbitalPoints(term.config, count, { scale: 1, random, positions: base, offset });
+    offset += count;
+  });
+
+  // psi_k at each candidate (complex, unit-normalized) and the rejection threshold
+  // u * M * h(x) with M = number of terms, since |sum c_k psi_k|^2 <= M sum |c_k psi_k|^2.
+  const psiRe = terms.map(() => new Float32Array(pointCount));
+  const psiIm = terms.map(() => new Float32Array(pointCount));
+  const thresholds = new Float32Array(pointCount);
+  const phasor = { magnitude: 0, angle: 0 };
+  for (let i = 0; i < pointCount; i += 1) {
+    let mixture = 0;
+    terms.forEach((term, k) => {
+      evaluateOrbitalPsi(term.config, base[3 * i], base[3 * i + 1], base[3 * i + 2], phasor);
+      const magnitude = term.norm * phasor.magnitude;
+      psiRe[k][i] = magnitude * Math.cos(phasor.angle);
+      psiIm[k][i] = magnitude * Math.sin(phasor.angle);
+      mixture += term.weight * magnitude * magnitude;
+    });
+    thresholds[i] = random() * terms.length * mixture;
+  }
+  for (let i = 0; i < base.length; i += 1) base[i] *= scale;
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(pointCount * 3), 3));
+  geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(pointCount * 3), 3));
+  const extent = used.reduce((max, c) => Math.max(max, radiusEnclosing(c.n, FAMILY_L[c.family], 0.999, Z)), 0);
+  geo.boundingSphere = new THREE.Sphere(new THREE.Vector3(), extent * scale);
+  const mat = new THREE.PointsMaterial({
+    size: pointSize,
+    vertexColors: true,
+    transparent: true,
+    opacity: 0.9,
+    depthWrite: false,
+    sizeAttenuation: true,
+  });
+  const points = new THREE.Points(geo, mat);
+  points.name = 'superposition';
+
+  // Charge centroid <r>(t): the oscillating dipole that makes a transition radiate.
+  const centroid = new THREE.Mesh(
+    new THREE.SphereGeometry(CENTROID_RADIUS, 16, 8),
+    new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false })
+  );
+  centroid.renderOrder = 11;
+  centroid.raycast = () => {};
+  points.add(centroid);
+
+  points.userData.superposition = {
+    terms,
+    base,
+    psiRe,
+    psiIm,
+    thresholds,
+    time: 0,
+    shown: 0,
+    centroid,
+    period: superpositionPeriod(used, Z),
+  };
+  updateSuperposition(points, 0);
+  return points;
+}
+
+// Advances the state by dt atomic time units and rewrites the visible points.
+export function updateSuperposition(points, dt) {
+  const state = points?.userData?.superposition;
+  if (!state) return;
+  state.time += dt;
+  const { terms, base, psiRe, psiIm, thresholds, time } = state;
+  // c_k e^(-i E_k t) for this frame.
+  const rotRe = terms.map((term) => term.coefficient * Math.cos(term.energy * time));
+  const rotIm = terms.map((term) => -term.coefficient * Math.sin(term.energy * time));
+  const position = points.geometry.getAttribute('position');
+  const color = points.geometry.getAttribute('color');
+  const c = new THREE.Color();
+  const sum = new THREE.Vector3();
+  let shown = 0;
+  for (let i = 0; i < thresholds.length; i += 1) {
+    let re = 0;
+    let im = 0;
+    for (let k = 0; k < terms.length; k += 1) {
+      re += rotRe[k] * psiRe[k][i] - rotIm[k] * psiIm[k][i];
+      im += rotRe[k] * psiIm[k][i] + rotIm[k] * psiRe[k][i];
+    }
+    if (re * re + im * im <= thresholds[i]) continue;
+    position.array[3 * shown] = base[3 * i];
+    position.array[3 * shown + 1] = base[3 * i + 1];
+    position.array[3 * shown + 2] = base[3 * i + 2];
+    sum.x += base[3 * i];
+    sum.y += base[3 * i + 1];
+    sum.z += base[3 * i + 2];
+    const angle = Math.atan2(im, re);
+    phaseToColor(angle < 0 ? angle + 2 * Math.PI : angle, c);
+    c.toArray(color.array, 3 * shown);
+    shown += 1;
+  }
+  points.geometry.setDrawRange(0, shown);
+  position.needsUpdate = true;
+  color.needsUpdate = true;
+  state.shown = shown;
+  if (shown) state.centroid.position.copy(sum.divideScalar(shown));
+}
@@ -0,0 +1,139 @@
+// term_symbols.js - Russell-Saunders (LS) term symbols for electron configurations
+// Works on the { n, l, electrons, capacity } entries produced by electron_config.js
+import { toSuperscript } from './electron_config.js';
+
+const L_VALUE = { s: 0, p: 1, d: 2, f: 3 };
+// Spectroscopic letters for L = 0, 1, 2, ...; J is skipped by convention.
+const L_LETTERS = 'SPDFGHIKLMNOQRTUV';
+const SUBSCRIPT_DIGITS = ['₀', '₁', '₂', '₃', '₄', '₅', '₆', '₇', '₈', '₉'];
+// Keeps f^7 x d^n style combinations cheap; larger open-shell sets return null.
+const MAX_MICROSTATES = 500000;
+
+function openSubshells(config) {
+  return config.filter((entry) => entry.electrons > 0 && entry.electrons < entry.capacity);
+}
+
+export function letterForL(L) {
+  return L_LETTERS[L] ?? `[L=${L}]`;
+}
+
+// Hund's rules: maximise S, then L; J = |L - S| below half filling, L + S above.
+export function computeGroundTermSymbol(config) {
+  let twiceS = 0;
+  let L = 0;
+  let moreThanHalf = false;
+  openSubshells(config).forEach((entry) => {
+    const l = L_VALUE[entry.l];
+    const orbitals = 2 * l + 1;
+    let ml = 0;
+    for (let e = 0; e < entry.electrons; e += 1) {
+      ml += l - (e % orbitals);
+    }
+    const unpaired = entry.electrons <= orbitals ? entry.electrons : 2 * orbitals - entry.electrons;
+    twiceS += unpaired;
+    L += ml;
+    if (entry.electrons !== orbitals) moreThanHalf = entry.electrons > orbitals;
+  });
+  const S = twiceS / 2;
+  const J = moreThanHalf ? L + S : Math.abs(L - S);
+  return { S, L, J, multiplicity: twiceS + 1, letter: letterForL(L) };
+}
+
+// (2*MS, ML) -> microstate count for k electrons in a single l subshell.
+function subshellMicrostates(l, k) {
+  const spinOrbitals = [];
+  for (let ml = -l; ml <= l; ml += 1) {
+    spinOrbitals.push({ ml, ms2: 1 }, { ml, ms2: -1 });
+  }
+  const counts = new Map();
+  const walk = (start, left, ml, ms2) => {
+    if (left === 0) {
+      const key = `${ms2},${ml}`;
+      counts.set(key, (counts.get(key) ?? 0) + 1);
+      return;
+    }
+    for (let i = start; i <= spinOrbitals.length - left; i += 1) {
+      walk(i + 1, left - 1, ml + spinOrbitals[i].ml, ms2 + spinOrbitals[i].ms2);
+    }
+  };
+  walk(0, k, 0, 0);
+  return counts;
+}
+
+function combineMicrostates(a, b) {
+  const out = new Map();
+  a.forEach((countA, keyA) => {
+    const [ms2A, mlA] = keyA.split(',').map(Number);
+    b.forEach((countB, keyB) => {
+      const [ms2B, mlB] = keyB.split(',').map(Number);
+      const key = `${ms2A + ms2B},${mlA + mlB}`;
+      out.set(key, (out.get(key) ?? 0) + countA * countB);
+    });
+  });
+  return out;
+}
+
+function binomial(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i += 1) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+}
+
+// All LS terms of the open-shell part of config, e.g. p2 -> 3P, 1D, 1S.
+// Sorted ground-first (highest S, then highest L). Returns null when the
+// configuration has too many microstates to enumerate.
+export function listTermSymbols(config) {
+  const open = openSubshells(config);
+  const total = open.reduce((product, entry) => product * binomial(entry.capacity, entry.electrons), 1);
+  if (total > MAX_MICROSTATES) return null;
+  let table = new Map([['0,0', 1]]);
+  open.forEach((entry) => {
+    table = combineMicrostates(table, subshellMicrostates(L_VALUE[entry.l], entry.electrons));
+  });
+
+  const terms = [];
+  const remaining = table;
+  while (remaining.size) {
+    let maxMl = -Infinity;
+    remaining.forEach((_, key) => {
+      maxMl = Math.max(maxMl, Number(key.split(',')[1]));
+    });
+    let maxMs2 = -Infinity;
+    remaining.forEach((_, key) => {
+      const [ms2, ml] = key.split(',').map(Number);
+      if (ml === maxMl) maxMs2 = Math.max(maxMs2, ms2);
+    });
+    const L = maxMl;
+    const S = maxMs2 / 2;
+    const J = [];
+    for (let j = Math.abs(L - S); j <= L + S; j += 1) J.push(j);
+    terms.push({ S, L, multiplicity: maxMs2 + 1, letter: letterForL(L), J });
+    for (let ml = -L; ml <= L; ml += 1) {
+      for (let ms2 = -maxMs2; ms2 <= maxMs2; ms2 += 2) {
+        const key = `${ms2},${ml}`;
+        const left = (remaining.get(key) ?? 0) - 1;
+        if (left > 0) remaining.set(key, left);
+        else remaining.delete(key);
+      }
+    }
+  }
+  return terms.sort((a, b) => b.S - a.S || b.L - a.L);
+}
+
+function formatJ(J) {
+  return Number.isInteger(J) ? String(J) : `${Math.round(J * 2)}/2`;
+}
+
+function toSubscript(text) {
+  return text.split('').map((ch) => SUBSCRIPT_DIGITS[Number(ch)] ?? ch).join('');
+}
+
+// style: 'unicode' (³P₀), 'plain' (3P0) or 'latex' ({}^{3}P_{0}); J is optional.
+export function formatTermSymbol(term, { style = 'unicode' } = {}) {
+  const j = term.J === undefined || Array.isArray(term.J) ? '' : formatJ(term.J);
+  if (style === 'latex') return `{}^{${term.multiplicity}}\\mathrm{${term.letter}}${j ? `_{${j}}` : ''}`;
+  if (style === 'plain') return `${term.multiplicity}${term.letter}${j}`;
+  return `${toSuperscript(term.multiplicity)}${term.letter}${toSubscript(j)}`;
+}
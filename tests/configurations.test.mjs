@@ -0,0 +1,46 @@
+// configurations.test.mjs - Built ground states against data/configurations.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildElectronConfiguration,
+  buildElementSequence,
+  findReferenceMismatches,
+  formatCondensedConfiguration,
+  isSameConfiguration,
+  parseElectronConfiguration,
+} from '../electron_config.js';
+
+test('every neutral atom matches the reference configuration', () => {
+  assert.deepEqual(findReferenceMismatches(), []);
+});
+
+test('exceptions come from the reference table', () => {
+  assert.equal(formatCondensedConfiguration(buildElectronConfiguration(24)), '[Ar] 4s1 3d5');
+  assert.equal(formatCondensedConfiguration(buildElectronConfiguration(46)), '[Kr] 4d10');
+  const [pd] = buildElementSequence(46, 46);
+  assert.ok(pd.exception);
+  assert.match(pd.note, /^2 electrons move from 5s to 4d/);
+  assert.equal(buildElementSequence(26, 26)[0].exception, false);
+});
+
+test('cations lose ns/np, then (n-1)d, then (n-2)f', () => {
+  const cases = [
+    [26, 2, '[Ar] 3d6'],
+    [50, 2, '[Kr] 4d10 5s2'],
+    [63, 3, '[Xe] 4f6'],
+    [58, 4, '[Xe]'],
+    [59, 3, '[Xe] 4f2'],
+    [68, 3, '[Xe] 4f11'],
+    [92, 6, '[Rn]'],
+  ];
+  cases.forEach(([z, charge, expected]) => {
+    const built = buildElectronConfiguration(z, charge);
+    assert.ok(isSameConfiguration(built, parseElectronConfiguration(expected)), `Z=${z} ${charge}+: ${formatCondensedConfiguration(built)}`);
+  });
+});
+
+test('ions that are exactly a noble-gas core condense to the bare core', () => {
+  assert.equal(formatCondensedConfiguration(buildElectronConfiguration(57, 3), { exactCore: true }), '[Xe]');
+  assert.equal(formatCondensedConfiguration(buildElectronConfiguration(58, 4), { exactCore: true }), '[Xe]');
+  assert.equal(formatCondensedConfiguration(buildElectronConfiguration(54)), '[Kr] 5s2 4d10 5p6');
+});
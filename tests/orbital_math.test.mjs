@@ -0,0 +1,56 @@
+// orbital_math.test.mjs - Cubic orbital names against their closed forms
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateOrbitalAmplitude } from '../orbital_math.js';
+
+// Polar axis Y: chemistry (x, y, z) is (d.x, d.z, d.y).
+const CLOSED_FORMS = {
+  p: { px: (x) => x, py: (x, y) => y, pz: (x, y, z) => z },
+  d: {
+    dz2: (x, y, z) => 3 * z * z - 1,
+    dxz: (x, y, z) => x * z,
+    dyz: (x, y, z) => y * z,
+    dxy: (x, y) => x * y,
+    dx2y2: (x, y) => x * x - y * y,
+  },
+  f: {
+    fz3: (x, y, z) => z * (5 * z * z - 3),
+    fxz2: (x, y, z) => x * (5 * z * z - 1),
+    fyz2: (x, y, z) => y * (5 * z * z - 1),
+    fzx2y2: (x, y, z) => z * (x * x - y * y),
+    fxyz: (x, y, z) => x * y * z,
+    fcos3: (x, y) => x * (x * x - 3 * y * y),
+    fsin3: (x, y) => y * (3 * x * x - y * y),
+  },
+};
+
+function randomDirections(count) {
+  const dirs = [];
+  for (let i = 0; i < count; i += 1) {
+    const u = Math.cos((Math.PI * (i + 0.5)) / count);
+    const phi = 2.399963 * i;
+    const s = Math.sqrt(1 - u * u);
+    dirs.push({ x: s * Math.cos(phi), y: u, z: s * Math.sin(phi) });
+  }
+  return dirs;
+}
+
+test('cubic names are positive multiples of their closed forms with peak 1', () => {
+  const dirs = randomDirections(400);
+  Object.entries(CLOSED_FORMS).forEach(([family, forms]) => {
+    Object.entries(forms).forEach(([variant, form]) => {
+      let ratio = null;
+      let peak = 0;
+      dirs.forEach((d) => {
+        const amp = evaluateOrbitalAmplitude(family, variant, d);
+        peak = Math.max(peak, Math.abs(amp));
+        const closed = form(d.x, d.z, d.y);
+        if (Math.abs(closed) < 1e-3) return;
+        ratio ??= amp / closed;
+        assert.ok(Math.abs(amp / closed - ratio) < 1e-6 * ratio, `${variant} is not proportional to its closed form`);
+      });
+      assert.ok(ratio > 0, `${variant} has the wrong sign`);
+      assert.ok(peak <= 1 + 1e-9 && peak > 0.97, `${variant} peaks at ${peak}`);
+    });
+  });
+});
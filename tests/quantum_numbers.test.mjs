@@ -0,0 +1,31 @@
+// quantum_numbers.test.mjs - Per-electron (n, l, ml, ms) rows and Hund's-rule filling
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildElectronConfiguration, buildOrbitalOccupancy, listQuantumNumbers } from '../electron_config.js';
+
+const tuples = (rows) => rows.map(({ n, l, ml, ms }) => [n, l, ml, ms]);
+
+test('carbon lists one row per electron', () => {
+  assert.deepEqual(tuples(listQuantumNumbers(buildElectronConfiguration(6))), [
+    [1, 0, 0, 0.5],
+    [1, 0, 0, -0.5],
+    [2, 0, 0, 0.5],
+    [2, 0, 0, -0.5],
+    [2, 1, 1, 0.5],
+    [2, 1, -1, 0.5],
+  ]);
+});
+
+test('a half-filled d subshell puts one spin-up electron in each orbital', () => {
+  const rows = listQuantumNumbers(buildElectronConfiguration(24)).filter((row) => row.subshell === '3d');
+  assert.equal(rows.length, 5);
+  assert.ok(rows.every((row) => row.l === 2 && row.ms === 0.5));
+  assert.deepEqual(rows.map((row) => row.ml).sort((a, b) => a - b), [-2, -1, 0, 1, 2]);
+  const orbitals = buildOrbitalOccupancy({ n: 3, l: 'd', capacity: 10, electrons: 5 });
+  assert.ok(orbitals.every((orbital) => orbital.up && !orbital.down));
+});
+
+test('complex basis rows use ml from +l downwards', () => {
+  const rows = listQuantumNumbers(buildElectronConfiguration(6), { bases: { '2p': 'complex' } }).filter((row) => row.l === 1);
+  assert.deepEqual(rows.map((row) => [row.variant, row.ml]), [['p+1', 1], ['p0', 0]]);
+});